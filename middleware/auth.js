@@ -0,0 +1,165 @@
+const jwt = require('jsonwebtoken');
+const Admin = require('../models/Admin');
+const Team = require('../models/Team');
+
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+const LEADER_TOKEN_TTL = process.env.LEADER_TOKEN_EXPIRES_IN || '30m';
+
+/**
+ * Read the Bearer token from the Authorization header
+ * @returns {string|null} Raw token
+ */
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+}
+
+/**
+ * Verify a JWT of the expected type
+ * @returns {object} { payload } or { message }
+ */
+function verifyToken(token, type) {
+    try {
+        const payload = jwt.verify(token, process.env.JWT_SECRET);
+        if (payload.type !== type) {
+            return { message: 'Invalid access token' };
+        }
+        return { payload };
+    } catch (error) {
+        return { message: error.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token' };
+    }
+}
+
+/**
+ * Sign a short-lived access token for an admin
+ * @param {object} admin - Admin document
+ * @returns {string} Signed JWT
+ */
+function signAccessToken(admin) {
+    if (!process.env.JWT_SECRET) {
+        throw new Error('JWT_SECRET is not configured');
+    }
+
+    return jwt.sign(
+        { sub: String(admin._id), type: 'admin', role: admin.role, username: admin.username },
+        process.env.JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+}
+
+/**
+ * Require a valid Bearer access token.
+ * Loads the admin so that deactivated accounts lose access immediately.
+ */
+async function authenticate(req, res, next) {
+    const token = getBearerToken(req);
+    if (!token) {
+        return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+
+    const { payload, message } = verifyToken(token, 'admin');
+    if (!payload) {
+        return res.status(401).json({ success: false, message });
+    }
+
+    try {
+        const admin = await Admin.findById(payload.sub);
+        if (!admin || !admin.is_active) {
+            return res.status(401).json({ success: false, message: 'Account is disabled or no longer exists' });
+        }
+
+        req.admin = admin;
+        next();
+    } catch (error) {
+        console.error('❌ Auth error:', error);
+        res.status(500).json({ success: false, message: 'Authentication failed' });
+    }
+}
+
+/**
+ * Require the authenticated admin to hold at least the given role.
+ * Roles are ordered viewer < reviewer < superadmin.
+ * @param {string} minimumRole - Lowest role allowed through
+ */
+function requireRole(minimumRole) {
+    return [authenticate, (req, res, next) => {
+        if (!req.admin.hasRole(minimumRole)) {
+            return res.status(403).json({
+                success: false,
+                message: `This action requires the ${minimumRole} role`
+            });
+        }
+        next();
+    }];
+}
+
+/**
+ * Sign a portal token for a team leader after OTP login
+ * @param {object} team - Team document
+ * @returns {string} Signed JWT
+ */
+function signLeaderToken(team) {
+    if (!process.env.JWT_SECRET) {
+        throw new Error('JWT_SECRET is not configured');
+    }
+
+    return jwt.sign(
+        { sub: String(team._id), type: 'leader', reference_number: team.reference_number },
+        process.env.JWT_SECRET,
+        { expiresIn: LEADER_TOKEN_TTL }
+    );
+}
+
+/**
+ * Require a valid team leader portal token and load the team as req.team
+ */
+async function authenticateLeader(req, res, next) {
+    const token = getBearerToken(req);
+    if (!token) {
+        return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+
+    const { payload, message } = verifyToken(token, 'leader');
+    if (!payload) {
+        return res.status(401).json({ success: false, message });
+    }
+
+    try {
+        const team = await Team.findOne({ _id: payload.sub, deleted_at: null });
+        if (!team) {
+            return res.status(401).json({ success: false, message: 'Team no longer exists' });
+        }
+
+        req.team = team;
+        next();
+    } catch (error) {
+        console.error('❌ Leader auth error:', error);
+        res.status(500).json({ success: false, message: 'Authentication failed' });
+    }
+}
+
+/**
+ * Allow either an admin with the given role or a team leader. Leaders get
+ * req.team; the route checks that it is the team being requested.
+ */
+function requireRoleOrLeader(minimumRole) {
+    const [adminAuth, roleCheck] = requireRole(minimumRole);
+    return (req, res, next) => {
+        const token = getBearerToken(req);
+        const decoded = token ? jwt.decode(token) : null;
+        if (decoded && decoded.type === 'leader') {
+            return authenticateLeader(req, res, next);
+        }
+        adminAuth(req, res, () => roleCheck(req, res, next));
+    };
+}
+
+module.exports = {
+    signAccessToken,
+    authenticate,
+    requireRole,
+    signLeaderToken,
+    authenticateLeader,
+    requireRoleOrLeader
+};
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcrypt');
+
+const SALT_ROUNDS = 12;
+
+// Roles in ascending order of privilege (volunteers only scan check-in passes)
+const ROLES = ['volunteer', 'viewer', 'reviewer', 'superadmin'];
+
+// ============================================
+// REFRESH TOKEN SCHEMA - Only the hash is stored
+// ============================================
+const refreshTokenSchema = new mongoose.Schema({
+    token_hash: {
+        type: String,
+        required: true
+    },
+    expires_at: {
+        type: Date,
+        required: true
+    },
+    created_at: {
+        type: Date,
+        default: Date.now
+    },
+    created_by_ip: {
+        type: String
+    }
+}, { _id: false });
+
+// ============================================
+// ADMIN SCHEMA
+// ============================================
+const adminSchema = new mongoose.Schema({
+    username: {
+        type: String,
+        required: [true, 'Username is required'],
+        trim: true,
+        lowercase: true,
+        unique: true
+    },
+    email: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email']
+    },
+    password_hash: {
+        type: String,
+        required: true
+    },
+    role: {
+        type: String,
+        enum: ROLES,
+        default: 'viewer'
+    },
+    is_active: {
+        type: Boolean,
+        default: true
+    },
+    last_login_at: {
+        type: Date
+    },
+    refresh_tokens: {
+        type: [refreshTokenSchema],
+        default: []
+    }
+}, {
+    timestamps: true
+});
+
+// ============================================
+// METHODS
+// ============================================
+adminSchema.methods.setPassword = async function (password) {
+    this.password_hash = await bcrypt.hash(password, SALT_ROUNDS);
+};
+
+adminSchema.methods.comparePassword = function (password) {
+    return bcrypt.compare(password, this.password_hash);
+};
+
+adminSchema.methods.hasRole = function (minimumRole) {
+    return ROLES.indexOf(this.role) >= ROLES.indexOf(minimumRole);
+};
+
+// Never expose password or refresh token hashes
+adminSchema.methods.toJSON = function () {
+    const admin = this.toObject();
+    delete admin.password_hash;
+    delete admin.refresh_tokens;
+    return admin;
+};
+
+// ============================================
+// EXPORT MODEL
+// ============================================
+const Admin = mongoose.model('Admin', adminSchema);
+Admin.ROLES = ROLES;
+
+module.exports = Admin;
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// ============================================
+// AUDIT LOG SCHEMA - Append-only record of admin actions
+// ============================================
+const auditLogSchema = new mongoose.Schema({
+    actor: {
+        id: String,
+        username: String,
+        role: String
+    },
+    action: {
+        type: String,
+        required: true
+    },
+    team: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Team'
+    },
+    team_name: {
+        type: String
+    },
+    // Field-level diffs; sensitive values are masked before storage
+    changes: [{
+        _id: false,
+        path: String,
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed
+    }],
+    metadata: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    ip: {
+        type: String
+    },
+    created_at: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// ============================================
+// INDEXES
+// ============================================
+auditLogSchema.index({ team: 1, created_at: -1 });
+auditLogSchema.index({ 'actor.username': 1, created_at: -1 });
+auditLogSchema.index({ created_at: -1 });
+
+// ============================================
+// EXPORT MODEL
+// ============================================
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// ============================================
+// NOTIFICATION JOB SCHEMA - Durable outbound notification queue
+// ============================================
+const notificationJobSchema = new mongoose.Schema({
+    channel: {
+        type: String,
+        enum: ['telegram', 'email', 'sms'],
+        required: true
+    },
+    // Handler name within the channel, e.g. 'team.verified'
+    type: {
+        type: String,
+        required: true
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    // One job per event: enqueueing the same key twice is a no-op
+    idempotency_key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'processing', 'completed', 'dead'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    max_attempts: {
+        type: Number,
+        default: 6
+    },
+    next_run_at: {
+        type: Date,
+        default: Date.now
+    },
+    locked_at: {
+        type: Date
+    },
+    last_error: {
+        type: String
+    },
+    // Most recent failures, newest last
+    failures: [{
+        _id: false,
+        at: Date,
+        message: String
+    }],
+    result: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    completed_at: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+// ============================================
+// INDEXES
+// ============================================
+notificationJobSchema.index({ status: 1, next_run_at: 1 });
+notificationJobSchema.index({ status: 1, locked_at: 1 });
+notificationJobSchema.index({ 'payload.team_id': 1 });
+
+// ============================================
+// EXPORT MODEL
+// ============================================
+module.exports = mongoose.model('NotificationJob', notificationJobSchema);
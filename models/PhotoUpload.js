@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// ============================================
+// PHOTO UPLOAD SCHEMA - Cloudinary assets created by the upload endpoints.
+// The public ID is recorded here from the upload itself, never taken from
+// member data, so the purge only ever deletes assets this app created
+// (older photos, uploaded before this record existed, see photoService).
+// ============================================
+const photoUploadSchema = new mongoose.Schema({
+    public_id: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    url: {
+        type: String,
+        required: true
+    },
+    // Set when a saved team first uses the photo; only that team's purge deletes it
+    team: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Team',
+        default: null
+    },
+    claimed_at: {
+        type: Date
+    },
+    uploaded_by_ip: {
+        type: String
+    }
+}, {
+    timestamps: true
+});
+
+// ============================================
+// INDEXES
+// ============================================
+photoUploadSchema.index({ url: 1 });
+photoUploadSchema.index({ team: 1 });
+
+// ============================================
+// EXPORT MODEL
+// ============================================
+module.exports = mongoose.model('PhotoUpload', photoUploadSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// ============================================
+// DRAFT MEMBER - Partial member; Aadhaar and mobile only in protected form
+// ============================================
+const draftMemberSchema = new mongoose.Schema({
+    name: String,
+    dob: String,
+    age: Number,
+    gender: String,
+    id_proof_type: String,
+    id_number_encrypted: String,
+    id_number_masked: String,
+    id_number_index: String,
+    mobile_encrypted: String,
+    mobile_masked: String,
+    email: String,
+    state: String,
+    district: String,
+    city: String,
+    street: String,
+    doorno: String,
+    pincode: String,
+    nearest_ttd_temple: String,
+    photo_path: String,
+    photo: String,
+    // Aadhaar OTP verification to bind when the draft is finalised
+    verification_id: String
+}, { _id: false });
+
+// ============================================
+// REGISTRATION DRAFT - Resumed with a token; only its hash is stored
+// ============================================
+const registrationDraftSchema = new mongoose.Schema({
+    token_hash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    team_name: {
+        type: String,
+        trim: true
+    },
+    members_count: Number,
+    consent_given: {
+        type: Boolean,
+        default: false
+    },
+    members: {
+        type: [draftMemberSchema],
+        default: []
+    },
+    status: {
+        type: String,
+        enum: ['open', 'finalising', 'finalised'],
+        default: 'open'
+    },
+    // When the finalising claim was taken; a stale claim can be taken again
+    finalising_at: Date,
+    // Set once finalised
+    team: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Team'
+    },
+    reference_number: String,
+    // Pushed forward on every save; MongoDB removes the draft after it
+    expires_at: {
+        type: Date,
+        required: true
+    },
+    created_by_ip: String
+}, {
+    timestamps: true
+});
+
+registrationDraftSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RegistrationDraft', registrationDraftSchema);
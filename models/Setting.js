@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// ============================================
+// SETTING SCHEMA - One document per settings group (e.g. 'registration')
+// ============================================
+const settingSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    // Shape depends on the key; checked by the service that owns it
+    value: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    updated_by: {
+        type: String
+    }
+}, {
+    timestamps: true,
+    minimize: false
+});
+
+// ============================================
+// EXPORT MODEL
+// ============================================
+module.exports = mongoose.model('Setting', settingSchema);
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+// ============================================
+// BOOKING SCHEMA - One entry per team assigned to the slot
+// ============================================
+const bookingSchema = new mongoose.Schema({
+    team: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Team',
+        required: true
+    },
+    members_count: {
+        type: Number,
+        required: true
+    },
+    booked_at: {
+        type: Date,
+        default: Date.now
+    },
+    booked_by: {
+        type: String
+    }
+}, { _id: false });
+
+// ============================================
+// SLOT SCHEMA
+// ============================================
+const slotSchema = new mongoose.Schema({
+    date: {
+        type: Date,
+        required: [true, 'Slot date is required']
+    },
+    temple: {
+        type: String,
+        required: [true, 'Temple is required'],
+        trim: true
+    },
+    darshan_type: {
+        type: String,
+        required: [true, 'Darshan type is required'],
+        trim: true
+    },
+    capacity: {
+        type: Number,
+        required: [true, 'Capacity is required'],
+        min: [1, 'Capacity must be at least 1 member']
+    },
+    // Members (not teams) already booked; kept in step with bookings[]
+    booked_count: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    status: {
+        type: String,
+        enum: ['draft', 'published', 'closed'],
+        default: 'draft'
+    },
+    bookings: {
+        type: [bookingSchema],
+        default: []
+    },
+    created_by: {
+        type: String
+    }
+}, {
+    timestamps: true
+});
+
+// ============================================
+// VIRTUALS
+// ============================================
+slotSchema.virtual('available').get(function () {
+    return Math.max(0, this.capacity - this.booked_count);
+});
+
+slotSchema.set('toJSON', { virtuals: true });
+
+// ============================================
+// STATICS - Calendar days are IST days
+// ============================================
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+/**
+ * IST calendar day of a date, e.g. '2026-10-20'
+ */
+slotSchema.statics.istDay = function (date) {
+    return new Date(new Date(date).getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+};
+
+/**
+ * Slot date for a submitted value: the IST calendar day, stored as UTC
+ * midnight. '2026-10-20' and '2026-10-20T00:30:00+05:30' both give
+ * 2026-10-20T00:00:00Z.
+ * @returns {Date|null} null when the value is not a date
+ */
+slotSchema.statics.calendarDay = function (value) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return null;
+    return new Date(`${this.istDay(date)}T00:00:00.000Z`);
+};
+
+// ============================================
+// INDEXES
+// ============================================
+slotSchema.index({ date: 1, temple: 1, darshan_type: 1 }, { unique: true });
+slotSchema.index({ status: 1, date: 1 });
+slotSchema.index({ 'bookings.team': 1 });
+
+// ============================================
+// EXPORT MODEL
+// ============================================
+module.exports = mongoose.model('Slot', slotSchema);
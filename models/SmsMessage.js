@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// ============================================
+// SMS MESSAGE SCHEMA - Delivery log, also used for per-number rate limiting
+// The number itself is never stored: only its blind index and masked form.
+// ============================================
+const smsMessageSchema = new mongoose.Schema({
+    to_index: {
+        type: String,
+        required: true
+    },
+    to_masked: {
+        type: String
+    },
+    // Template name: otp, registration_received, verified, rejected, booked
+    event: {
+        type: String,
+        required: true
+    },
+    dlt_template_id: {
+        type: String
+    },
+    provider: {
+        type: String
+    },
+    status: {
+        type: String,
+        enum: ['sent', 'failed', 'rate_limited'],
+        required: true
+    },
+    message_id: {
+        type: String
+    },
+    error: {
+        type: String
+    },
+    team: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Team'
+    },
+    member: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    created_at: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// ============================================
+// INDEXES
+// ============================================
+smsMessageSchema.index({ to_index: 1, created_at: -1 });
+smsMessageSchema.index({ team: 1, created_at: -1 });
+// Keep the log for 90 days
+smsMessageSchema.index({ created_at: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+// ============================================
+// EXPORT MODEL
+// ============================================
+module.exports = mongoose.model('SmsMessage', smsMessageSchema);
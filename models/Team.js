@@ -1,4 +1,11 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { encrypt, decrypt, blindIndex } = require('../utils/encryption');
+const { mask } = require('../utils/memberValidator');
+const { teamSizeError, ageError } = require('../utils/registrationRules');
+
+// Unambiguous characters for human-typed reference numbers (no 0/O, 1/I)
+const REFERENCE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
 
 // ============================================
 // MEMBER SCHEMA - FLEXIBLE FOR UPDATES
@@ -16,7 +23,14 @@ const memberSchema = new mongoose.Schema({
     age: {
         type: Number,
         required: false,  // ✅ Made optional for updates
-        min: [5, 'Member must be at least 5 years old']
+        validate: {
+            // Registration rules may change; only new or edited ages are held to them
+            validator: function (age) {
+                if (!this.isNew && !this.isModified('age')) return true;
+                return age === null || age === undefined || !ageError(age);
+            },
+            message: (props) => ageError(props.value)
+        }
     },
     gender: {
         type: String,
@@ -38,9 +52,9 @@ const memberSchema = new mongoose.Schema({
         type: String,
         required: false  // ✅ Made optional
     },
-    id_number_full: {
-        type: String,
-        required: false  // ✅ FIXED - Made optional for updates
+    id_number_index: {
+        type: String,  // Keyed HMAC blind index for cross-team uniqueness
+        required: false
     },
     
     // Aadhaar Verification
@@ -52,14 +66,14 @@ const memberSchema = new mongoose.Schema({
         status: String,
         provider_response: String,
         timestamp: Date,
-        verification_id: String
+        verification_id: String,
+        // otp | offline_xml | secure_qr
+        method: String,
+        // What was matched against the UIDAI-signed data (no Aadhaar data itself)
+        evidence: mongoose.Schema.Types.Mixed
     },
     
     // Mobile Fields
-    mobile_full: {
-        type: String,
-        required: false  // ✅ FIXED - Made optional for updates
-    },
     mobile_encrypted: {
         type: String,
         required: false
@@ -68,10 +82,24 @@ const memberSchema = new mongoose.Schema({
         type: String,
         required: false
     },
+
+    // Plaintext inputs - accepted on write, never persisted (see pre-save hook)
+    id_number: {
+        type: String,
+        required: false
+    },
+    id_number_full: {
+        type: String,
+        required: false
+    },
     mobile: {
         type: String,
         required: false
     },
+    mobile_full: {
+        type: String,
+        required: false
+    },
     
     // Contact Info
     email: {
@@ -119,6 +147,11 @@ const memberSchema = new mongoose.Schema({
         type: String,
         required: false  // ✅ Made optional for updates
     },
+    // Catalogue entry the name above was resolved from (see models/TtdTemple.js)
+    nearest_ttd_temple_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TtdTemple'
+    },
     
     // Photo
     photo_path: {
@@ -136,12 +169,87 @@ const memberSchema = new mongoose.Schema({
     photo_uploaded_at: {
         type: Date,
         default: Date.now
+    },
+
+    // Email delivery status per notification
+    email_notifications: [{
+        _id: false,
+        event: String,
+        status: {
+            type: String,
+            enum: ['sent', 'failed']
+        },
+        provider: String,
+        message_id: String,
+        error: String,
+        sent_at: Date
+    }],
+
+    // Gate check-in on the booked slot; a new booking starts a new check-in
+    checkin: {
+        slot: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Slot'
+        },
+        checked_in_at: Date,
+        checked_in_by: String,
+        gate: String
     }
 }, { 
     _id: true,
     strict: false  // ✅ Allow additional fields
 });
 
+// ============================================
+// DATA PROTECTION - Only encrypted + masked forms are stored
+// ============================================
+const PLAINTEXT_FIELDS = ['id_number', 'id_number_full', 'mobile', 'mobile_full'];
+
+/**
+ * Encrypt any plaintext Aadhaar/mobile on a member and clear the plaintext.
+ * Plaintext always wins over an existing ciphertext, so stale encrypted
+ * copies left behind by older admin edits are corrected.
+ */
+function protectMember(member) {
+    const aadhaar = String(member.get('id_number_full') || member.get('id_number') || '').replace(/\s/g, '');
+    if (aadhaar) {
+        member.set('id_number_encrypted', encrypt(aadhaar));
+        member.set('id_number_masked', mask(aadhaar));
+        member.set('id_number_index', blindIndex(aadhaar));
+    }
+
+    const mobile = String(member.get('mobile_full') || member.get('mobile') || '').trim();
+    if (mobile) {
+        member.set('mobile_encrypted', encrypt(mobile));
+        member.set('mobile_masked', mask(mobile));
+    }
+
+    PLAINTEXT_FIELDS.forEach(field => {
+        if (member.get(field) !== undefined) member.set(field, undefined);
+    });
+}
+
+// Runs on every parent save, including saves with validation disabled
+memberSchema.pre('save', function (next) {
+    try {
+        protectMember(this);
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Decrypt Aadhaar and mobile for authorised admin views
+ * @returns {object} { id_number, mobile }
+ */
+memberSchema.methods.decryptSensitive = function () {
+    return {
+        id_number: this.id_number_encrypted ? decrypt(this.id_number_encrypted) : '',
+        mobile: this.mobile_encrypted ? decrypt(this.mobile_encrypted) : ''
+    };
+};
+
 // ============================================
 // TEAM SCHEMA
 // ============================================
@@ -152,27 +260,60 @@ const teamSchema = new mongoose.Schema({
         trim: true,
         unique: true
     },
+    reference_number: {
+        type: String,
+        unique: true,
+        sparse: true
+    },
+    // Size limits come from the registration rules. They may change after a
+    // team registers, so only new teams and changed counts are held to them.
     members_count: {
         type: Number,
         required: true,
-        min: [10, 'Team must have at least 10 members'],
-        max: [15, 'Team cannot have more than 15 members']
+        validate: {
+            validator: function (count) {
+                return (!this.isNew && !this.isModified('members_count')) || !teamSizeError(count);
+            },
+            message: (props) => teamSizeError(props.value)
+        }
     },
     members: {
         type: [memberSchema],
         validate: {
             validator: function (members) {
                 // ✅ Relaxed validation - allow count mismatch during updates
-                return members.length >= 10 && members.length <= 15;
+                return (!this.isNew && !this.isModified('members')) || !teamSizeError(members.length);
             },
-            message: 'Team must have between 10 and 15 members'
+            message: (props) => teamSizeError(props.value.length)
         }
     },
     submission_status: {
         type: String,
-        enum: ['pending', 'verified', 'rejected', 'under_review'],
+        enum: ['pending', 'verified', 'rejected', 'under_review', 'booked'],
         default: 'pending'
     },
+    status_history: [{
+        _id: false,
+        from: String,
+        to: String,
+        changed_by: String,
+        reason: String,
+        changed_at: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    booking: {
+        slot: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Slot'
+        },
+        date: Date,
+        temple: String,
+        darshan_type: String,
+        booked_at: Date,
+        booked_by: String
+    },
     admin_notes: {
         type: String,
         trim: true
@@ -192,6 +333,25 @@ const teamSchema = new mongoose.Schema({
         type: Boolean,
         required: true,
         default: false
+    },
+
+    // Soft delete - purged after the retention period
+    deleted_at: {
+        type: Date,
+        default: null
+    },
+    deleted_by: {
+        type: String
+    },
+
+    // Leader portal login (OTP is stored hashed)
+    leader_otp: {
+        otp_hash: String,
+        expires_at: Date,
+        attempts: {
+            type: Number,
+            default: 0
+        }
     }
 }, {
     timestamps: true,
@@ -212,12 +372,95 @@ teamSchema.pre('save', function (next) {
 teamSchema.index({ team_name: 1 });
 teamSchema.index({ created_at: -1 });
 teamSchema.index({ submission_status: 1 });
+teamSchema.index({ deleted_at: 1 });
+
+// Admin listing: filters and sorts on active (non-deleted) teams
+teamSchema.index({ deleted_at: 1, submission_status: 1, created_at: -1 });
+teamSchema.index({ deleted_at: 1, members_count: 1 });
+teamSchema.index({ 'members.state': 1 });
+teamSchema.index({ 'members.district': 1 });
+teamSchema.index({ 'members.nearest_ttd_temple': 1 });
+teamSchema.index({ 'members.nearest_ttd_temple_id': 1 });
+// One active registration per Aadhaar across all teams (blind index).
+// Multikey: a member without an index is keyed as null, and teams without a
+// deleted_at field fall outside the filter - run
+// scripts/backfill-aadhaar-index.js on existing data before this is built.
+teamSchema.index(
+    { 'members.id_number_index': 1 },
+    {
+        name: 'unique_active_aadhaar',
+        unique: true,
+        partialFilterExpression: {
+            deleted_at: { $type: 'null' },
+            'members.id_number_index': { $type: 'string' }
+        }
+    }
+);
+teamSchema.index(
+    { team_name: 'text', 'members.name': 'text' },
+    { name: 'team_member_text', weights: { team_name: 5, 'members.name': 1 } }
+);
+
+// ============================================
+// STATICS - Registration reference number
+// ============================================
+teamSchema.statics.generateReferenceNumber = async function () {
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const bytes = crypto.randomBytes(8);
+        let code = '';
+        for (const byte of bytes) {
+            code += REFERENCE_ALPHABET[byte % REFERENCE_ALPHABET.length];
+        }
+
+        const reference = `TTD-${code}`;
+        if (!(await this.exists({ reference_number: reference }))) {
+            return reference;
+        }
+    }
+    throw new Error('Could not generate a unique reference number');
+};
+
+// ============================================
+// STATICS - Cross-team Aadhaar conflicts
+// ============================================
+
+/**
+ * Find members already registered in another active team
+ * @param {Array} members - Members carrying id_number_index
+ * @param {string} excludeTeamId - Team being edited, if any
+ * @returns {Array} [{ position, name }] (position is 1-based)
+ */
+teamSchema.statics.findAadhaarConflicts = async function (members, excludeTeamId) {
+    const indexes = members.map(m => m.id_number_index).filter(Boolean);
+    if (indexes.length === 0) return [];
+
+    const filter = { deleted_at: null, 'members.id_number_index': { $in: indexes } };
+    if (excludeTeamId) filter._id = { $ne: excludeTeamId };
+
+    const teams = await this.find(filter).select('members.id_number_index');
+    const taken = new Set();
+    teams.forEach(t => t.members.forEach(m => taken.add(m.id_number_index)));
+
+    return members
+        .map((m, i) => ({ position: i + 1, name: m.name, index: m.id_number_index }))
+        .filter(m => m.index && taken.has(m.index))
+        .map(({ position, name }) => ({ position, name }));
+};
 
 // ============================================
 // METHODS - Custom toJSON
 // ============================================
 teamSchema.methods.toJSON = function() {
     const team = this.toObject();
+    delete team.leader_otp;
+    if (Array.isArray(team.members)) {
+        team.members.forEach(m => {
+            delete m.id_number_index;
+            delete m.id_number_encrypted;
+            delete m.mobile_encrypted;
+            PLAINTEXT_FIELDS.forEach(field => delete m[field]);
+        });
+    }
     return team;
 };
 
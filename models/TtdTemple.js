@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// ============================================
+// TTD TEMPLE SCHEMA - Catalogue of TTD temples and information centres
+// members pick their nearest_ttd_temple from
+// ============================================
+const ttdTempleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Temple name is required'],
+        trim: true,
+        maxlength: [150, 'Temple name is too long']
+    },
+    type: {
+        type: String,
+        enum: ['temple', 'information_centre'],
+        default: 'temple'
+    },
+    address: {
+        type: String,
+        trim: true
+    },
+    city: {
+        type: String,
+        trim: true
+    },
+    district: {
+        type: String,
+        trim: true
+    },
+    state: {
+        type: String,
+        trim: true
+    },
+    pincode: {
+        type: String,
+        required: [true, 'Pincode is required'],
+        match: [/^\d{6}$/, 'Please enter a valid 6-digit pincode']
+    },
+    // Defaults to the pincode centroid when not given
+    latitude: {
+        type: Number,
+        required: true,
+        min: -90,
+        max: 90
+    },
+    longitude: {
+        type: Number,
+        required: true,
+        min: -180,
+        max: 180
+    },
+    // Inactive entries stay on existing members but cannot be chosen
+    is_active: {
+        type: Boolean,
+        default: true
+    },
+    created_by: {
+        type: String
+    },
+    updated_by: {
+        type: String
+    }
+}, {
+    timestamps: true
+});
+
+// ============================================
+// INDEXES
+// ============================================
+ttdTempleSchema.index({ name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+ttdTempleSchema.index({ is_active: 1 });
+
+// ============================================
+// EXPORT MODEL
+// ============================================
+module.exports = mongoose.model('TtdTemple', ttdTempleSchema);
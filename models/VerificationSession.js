@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// ============================================
+// VERIFICATION SESSION SCHEMA - One Aadhaar OTP verification attempt
+// The Aadhaar number is stored only as its blind index, so a verified session
+// can be matched against a member's id_number_index when it is bound.
+// ============================================
+const verificationSessionSchema = new mongoose.Schema({
+    // Public handle returned to the client as verification_id
+    session_id: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    aadhaar_hash: {
+        type: String,
+        required: true
+    },
+    aadhaar_masked: {
+        type: String
+    },
+    mobile_encrypted: {
+        type: String
+    },
+    mobile_masked: {
+        type: String
+    },
+    provider: {
+        type: String,
+        required: true
+    },
+    // The provider's own reference for the OTP request
+    provider_reference: {
+        type: String
+    },
+    // Only used by the mock provider, which issues its own OTPs
+    otp_hash: {
+        type: String
+    },
+    status: {
+        type: String,
+        enum: ['otp_sent', 'verified', 'locked', 'bound'],
+        default: 'otp_sent'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    max_attempts: {
+        type: Number,
+        default: 5
+    },
+    // OTP expiry while otp_sent; deadline for binding once verified
+    expires_at: {
+        type: Date,
+        required: true
+    },
+    verified_at: {
+        type: Date
+    },
+    verified_name: {
+        type: String
+    },
+    team: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Team'
+    },
+    member_id: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    bound_at: {
+        type: Date
+    },
+    ip: {
+        type: String
+    }
+}, {
+    timestamps: true
+});
+
+// ============================================
+// INDEXES
+// ============================================
+verificationSessionSchema.index({ aadhaar_hash: 1, status: 1, updatedAt: -1 });
+// Sessions are kept for a week for support and lockout checks
+verificationSessionSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// ============================================
+// EXPORT MODEL
+// ============================================
+module.exports = mongoose.model('VerificationSession', verificationSessionSchema);
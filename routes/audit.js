@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+const AuditLog = require('../models/AuditLog');
+const { requireRole } = require('../middleware/auth');
+
+const MAX_LIMIT = 200;
+
+// ===================================================================
+// QUERY AUDIT LOG
+// Filters: team, actor, action, from, to  |  Paging: page, limit
+// ===================================================================
+router.get('/', requireRole('superadmin'), async (req, res) => {
+    try {
+        const { team, actor, action, from, to } = req.query;
+        const filter = {};
+
+        if (team) {
+            if (typeof team !== 'string' || !/^[0-9a-fA-F]{24}$/.test(team)) {
+                return res.status(400).json({ success: false, message: 'Invalid team ID format' });
+            }
+            filter.team = team;
+        }
+        if (actor) filter['actor.username'] = String(actor).toLowerCase();
+        if (action) filter.action = String(action);
+
+        if (from || to) {
+            filter.created_at = {};
+            if (from) filter.created_at.$gte = new Date(from);
+            if (to) filter.created_at.$lte = new Date(to);
+
+            if (Object.values(filter.created_at).some(d => isNaN(d.getTime()))) {
+                return res.status(400).json({ success: false, message: 'Invalid date range' });
+            }
+        }
+
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+        const [entries, total] = await Promise.all([
+            AuditLog.find(filter)
+                .sort({ created_at: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            AuditLog.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            data: entries,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error fetching audit log:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+module.exports = router;
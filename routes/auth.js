@@ -0,0 +1,274 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const { body, validationResult } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+const Admin = require('../models/Admin');
+const { hash } = require('../utils/encryption');
+const { signAccessToken, authenticate, requireRole } = require('../middleware/auth');
+
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 7;
+
+// ============================================
+// RATE LIMIT
+// ============================================
+const loginLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 10,
+    message: 'Too many login attempts, please try again later.',
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
+// ============================================
+// VALIDATION
+// ============================================
+const loginValidation = [
+    body('username').trim().notEmpty().withMessage('Username is required'),
+    body('password').notEmpty().withMessage('Password is required')
+];
+
+const adminValidation = [
+    body('username').trim().notEmpty().withMessage('Username is required'),
+    body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+    body('role').optional().isIn(Admin.ROLES).withMessage('Invalid role'),
+    body('email').optional().isEmail().withMessage('Invalid email')
+];
+
+// ============================================
+// HELPERS
+// ============================================
+const isValidId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
+
+/**
+ * Generate a refresh token
+ * @returns {object} { token, entry } - raw value and the record to store
+ */
+function newRefreshToken(ip) {
+    const token = crypto.randomBytes(48).toString('hex');
+    return {
+        token,
+        entry: {
+            token_hash: hash(token),
+            expires_at: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+            created_by_ip: ip
+        }
+    };
+}
+
+/**
+ * Create a refresh token, store its hash on the admin and return the raw value
+ */
+function issueRefreshToken(admin, ip) {
+    const { token, entry } = newRefreshToken(ip);
+
+    // Drop expired tokens while we are here
+    admin.refresh_tokens = admin.refresh_tokens.filter(t => t.expires_at > Date.now());
+    admin.refresh_tokens.push(entry);
+
+    return token;
+}
+
+// ===================================================================
+// LOGIN
+// ===================================================================
+router.post('/login', loginLimiter, loginValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const { username, password } = req.body;
+        const admin = await Admin.findOne({ username: username.toLowerCase() });
+
+        if (!admin || !admin.is_active || !(await admin.comparePassword(password))) {
+            console.log(`⚠️ Failed login for "${username}" from ${req.ip}`);
+            return res.status(401).json({ success: false, message: 'Invalid username or password' });
+        }
+
+        const refreshToken = issueRefreshToken(admin, req.ip);
+        admin.last_login_at = new Date();
+        await admin.save();
+
+        console.log(`🔐 Admin logged in: ${admin.username} (${admin.role})`);
+
+        res.json({
+            success: true,
+            data: {
+                access_token: signAccessToken(admin),
+                refresh_token: refreshToken,
+                admin
+            }
+        });
+    } catch (error) {
+        console.error('❌ Login error:', error);
+        res.status(500).json({ success: false, message: 'Login failed' });
+    }
+});
+
+// ===================================================================
+// REFRESH - Rotates the refresh token
+// ===================================================================
+router.post('/refresh', async (req, res) => {
+    try {
+        const { refresh_token } = req.body;
+        if (!refresh_token) {
+            return res.status(400).json({ success: false, message: 'Refresh token is required' });
+        }
+
+        // Pulling the token in the same update that finds it means only one of
+        // two concurrent refreshes with the same token can succeed
+        const tokenHash = hash(String(refresh_token));
+        const now = new Date();
+        const admin = await Admin.findOneAndUpdate(
+            {
+                is_active: true,
+                refresh_tokens: { $elemMatch: { token_hash: tokenHash, expires_at: { $gt: now } } }
+            },
+            { $pull: { refresh_tokens: { $or: [{ token_hash: tokenHash }, { expires_at: { $lte: now } }] } } },
+            { new: true }
+        );
+
+        if (!admin) {
+            return res.status(401).json({ success: false, message: 'Invalid or expired refresh token' });
+        }
+
+        const { token: refreshToken, entry } = newRefreshToken(req.ip);
+        await Admin.updateOne({ _id: admin._id }, { $push: { refresh_tokens: entry } });
+
+        res.json({
+            success: true,
+            data: {
+                access_token: signAccessToken(admin),
+                refresh_token: refreshToken
+            }
+        });
+    } catch (error) {
+        console.error('❌ Refresh error:', error);
+        res.status(500).json({ success: false, message: 'Token refresh failed' });
+    }
+});
+
+// ===================================================================
+// LOGOUT - Revokes the given refresh token (or all of them)
+// ===================================================================
+router.post('/logout', authenticate, async (req, res) => {
+    try {
+        const { refresh_token, all } = req.body;
+        const admin = req.admin;
+
+        if (all) {
+            admin.refresh_tokens = [];
+        } else if (refresh_token) {
+            const tokenHash = hash(refresh_token);
+            admin.refresh_tokens = admin.refresh_tokens.filter(t => t.token_hash !== tokenHash);
+        }
+
+        await admin.save();
+        res.json({ success: true, message: 'Logged out' });
+    } catch (error) {
+        console.error('❌ Logout error:', error);
+        res.status(500).json({ success: false, message: 'Logout failed' });
+    }
+});
+
+// ===================================================================
+// CURRENT ADMIN
+// ===================================================================
+router.get('/me', authenticate, (req, res) => {
+    res.json({ success: true, data: req.admin });
+});
+
+// ===================================================================
+// ADMIN MANAGEMENT (SUPERADMIN)
+// ===================================================================
+router.get('/admins', requireRole('superadmin'), async (req, res) => {
+    try {
+        const admins = await Admin.find({}).sort({ createdAt: -1 });
+        res.json({ success: true, data: admins });
+    } catch (error) {
+        console.error('❌ Error fetching admins:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+router.post('/admins', requireRole('superadmin'), adminValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const { username, password, role, email } = req.body;
+
+        const exists = await Admin.findOne({ username: username.toLowerCase() });
+        if (exists) {
+            return res.status(400).json({ success: false, message: 'Username already exists' });
+        }
+
+        const admin = new Admin({ username, email, role });
+        await admin.setPassword(password);
+        await admin.save();
+
+        console.log(`👤 Admin created: ${admin.username} (${admin.role}) by ${req.admin.username}`);
+        res.status(201).json({ success: true, data: admin });
+    } catch (error) {
+        console.error('❌ Create admin error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+router.put('/admins/:id', requireRole('superadmin'), async (req, res) => {
+    try {
+        if (!isValidId(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid admin ID format' });
+        }
+
+        const admin = await Admin.findById(req.params.id);
+        if (!admin) {
+            return res.status(404).json({ success: false, message: 'Admin not found' });
+        }
+
+        const { role, is_active, password } = req.body;
+
+        // Someone must always be left who can manage admins
+        const demoted = role !== undefined && role !== 'superadmin';
+        const deactivated = is_active !== undefined && !is_active;
+        if (admin.role === 'superadmin' && admin.is_active && (demoted || deactivated)) {
+            if (String(admin._id) === String(req.admin._id)) {
+                return res.status(400).json({ success: false, message: 'You cannot demote or deactivate your own account' });
+            }
+            const others = await Admin.countDocuments({ _id: { $ne: admin._id }, role: 'superadmin', is_active: true });
+            if (others === 0) {
+                return res.status(409).json({ success: false, message: 'Cannot demote or deactivate the last active superadmin' });
+            }
+        }
+
+        if (role !== undefined) {
+            if (!Admin.ROLES.includes(role)) {
+                return res.status(400).json({ success: false, message: 'Invalid role' });
+            }
+            admin.role = role;
+        }
+        if (is_active !== undefined) {
+            admin.is_active = !!is_active;
+            if (!admin.is_active) admin.refresh_tokens = [];
+        }
+        if (password !== undefined) {
+            if (String(password).length < 8) {
+                return res.status(400).json({ success: false, message: 'Password must be at least 8 characters' });
+            }
+            await admin.setPassword(password);
+            admin.refresh_tokens = [];
+        }
+
+        await admin.save();
+        res.json({ success: true, data: admin });
+    } catch (error) {
+        console.error('❌ Update admin error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,134 @@
+const express = require('express');
+const router = express.Router();
+const Team = require('../models/Team');
+const { requireRole } = require('../middleware/auth');
+const { issuePasses, scanPass, checkinSummary } = require('../services/checkinService');
+const { recordAudit } = require('../services/auditService');
+
+const isValidId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
+
+/**
+ * What a gate volunteer needs to match the pilgrim in front of them
+ */
+function scanView(team, member) {
+    return {
+        team_id: team._id,
+        team_name: team.team_name,
+        reference_number: team.reference_number,
+        member: member ? {
+            member_id: member._id,
+            name: member.name,
+            age: member.age,
+            gender: member.gender,
+            aadhaar: member.id_number_masked,
+            photo: member.photo || member.photo_path
+        } : null
+    };
+}
+
+// ===================================================================
+// SCAN A PASS AT THE GATE
+// Body: token (from the member's QR code), gate (optional label)
+// ===================================================================
+router.post('/scan', requireRole('volunteer'), async (req, res) => {
+    try {
+        const { token, gate } = req.body;
+        if (!token) {
+            return res.status(400).json({ success: false, message: 'Pass token is required' });
+        }
+
+        const result = await scanPass(token, {
+            volunteer: req.admin.username,
+            gate: gate ? String(gate).trim().slice(0, 50) : undefined
+        });
+
+        if (!result.success) {
+            // Reuse attempts are worth a trail
+            if (result.previous) {
+                await recordAudit(req, {
+                    action: 'team.checkin_reused',
+                    team: result.team,
+                    metadata: { member_id: String(result.member._id), gate }
+                });
+            }
+            console.log(`⛔ Check-in refused: ${result.message}`);
+            return res.status(result.status).json({
+                success: false,
+                message: result.message,
+                data: result.team ? scanView(result.team, result.member) : undefined
+            });
+        }
+
+        const { team, member } = result;
+        const summary = checkinSummary(team);
+
+        await recordAudit(req, {
+            action: 'team.checkin',
+            team,
+            metadata: { member_id: String(member._id), slot: String(result.slot._id), gate: member.checkin.gate }
+        });
+
+        console.log(`✅ Checked in ${member.name} (${team.team_name}) ${summary.checked_in}/${summary.total}`);
+        res.json({
+            success: true,
+            message: 'Checked in',
+            data: {
+                ...scanView(team, member),
+                checked_in_at: member.checkin.checked_in_at,
+                team_progress: { checked_in: summary.checked_in, total: summary.total }
+            }
+        });
+    } catch (error) {
+        console.error('❌ Check-in scan error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// ===================================================================
+// TEAM CHECK-IN STATUS
+// ===================================================================
+router.get('/teams/:id', requireRole('volunteer'), async (req, res) => {
+    try {
+        if (!isValidId(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid team ID format' });
+        }
+
+        const team = await Team.findOne({ _id: req.params.id, deleted_at: null });
+        if (!team) {
+            return res.status(404).json({ success: false, message: 'Team not found' });
+        }
+
+        res.json({ success: true, data: checkinSummary(team) });
+    } catch (error) {
+        console.error('❌ Check-in status error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// ===================================================================
+// ISSUE PASSES (QR per member)
+// ===================================================================
+router.get('/teams/:id/passes', requireRole('reviewer'), async (req, res) => {
+    try {
+        if (!isValidId(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid team ID format' });
+        }
+
+        const team = await Team.findOne({ _id: req.params.id, deleted_at: null });
+        if (!team) {
+            return res.status(404).json({ success: false, message: 'Team not found' });
+        }
+
+        const result = await issuePasses(team);
+        if (!result.success) {
+            return res.status(result.status).json({ success: false, message: result.message });
+        }
+
+        res.json({ success: true, data: result.passes });
+    } catch (error) {
+        console.error('❌ Issue passes error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+module.exports = router;
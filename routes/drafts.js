@@ -0,0 +1,149 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const { submitLimiter } = require('../services/registrationService');
+const {
+    DRAFT_TTL_DAYS,
+    findDraft,
+    createDraft,
+    saveDraft,
+    finaliseDraft,
+    isFinalising,
+    draftFeedback,
+    toDraftView
+} = require('../services/draftService');
+
+// ============================================
+// RATE LIMIT
+// ============================================
+const createLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000,
+    max: 10,
+    message: 'Too many drafts started from this IP, try again later.',
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
+// Autosave runs often; this only stops token guessing and floods
+const draftLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 300,
+    message: 'Too many draft requests, please slow down.',
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
+/**
+ * Load the draft named by :token as req.draft
+ */
+async function loadDraft(req, res, next) {
+    try {
+        const draft = await findDraft(req.params.token);
+        if (!draft) {
+            return res.status(404).json({ success: false, message: 'Draft not found or expired' });
+        }
+        req.draft = draft;
+        next();
+    } catch (error) {
+        console.error('❌ Draft lookup error:', error);
+        res.status(500).json({ success: false, message: 'Could not load draft' });
+    }
+}
+
+const draftResponse = (draft) => ({ draft: toDraftView(draft), validation: draftFeedback(draft) });
+
+// ===================================================================
+// START A DRAFT
+// Body (all optional): team_name, members_count, consent_given, members
+// ===================================================================
+router.post('/', createLimiter, async (req, res) => {
+    try {
+        const result = await createDraft(req.body || {}, { ip: req.ip });
+        if (!result.success) {
+            return res.status(result.status).json({ success: false, message: result.message });
+        }
+
+        console.log(`📝 Draft started (${result.draft.members.length} members)`);
+        res.status(201).json({
+            success: true,
+            message: `Draft saved. Keep the draft token to resume within ${DRAFT_TTL_DAYS} days.`,
+            data: { draft_token: result.token, ...draftResponse(result.draft) }
+        });
+    } catch (error) {
+        console.error('❌ Create draft error:', error);
+        res.status(500).json({ success: false, message: 'Could not save draft' });
+    }
+});
+
+// ===================================================================
+// RESUME A DRAFT
+// ===================================================================
+router.get('/:token', draftLimiter, loadDraft, (req, res) => {
+    res.json({ success: true, data: draftResponse(req.draft) });
+});
+
+// ===================================================================
+// AUTOSAVE
+// Body: team_name, members_count, consent_given,
+//       members: [{ index, ...fields }] or [{ index, remove: true }]
+// ===================================================================
+router.patch('/:token', draftLimiter, loadDraft, async (req, res) => {
+    try {
+        const result = await saveDraft(req.draft, req.body || {});
+        if (!result.success) {
+            return res.status(result.status).json({ success: false, message: result.message });
+        }
+        res.json({ success: true, message: 'Draft saved', data: draftResponse(result.draft) });
+    } catch (error) {
+        console.error('❌ Save draft error:', error);
+        res.status(500).json({ success: false, message: 'Could not save draft' });
+    }
+});
+
+// ===================================================================
+// DISCARD A DRAFT
+// ===================================================================
+router.delete('/:token', draftLimiter, loadDraft, async (req, res) => {
+    try {
+        if (isFinalising(req.draft)) {
+            return res.status(409).json({ success: false, message: 'Draft is being submitted' });
+        }
+        await req.draft.deleteOne();
+        res.json({ success: true, message: 'Draft discarded' });
+    } catch (error) {
+        console.error('❌ Discard draft error:', error);
+        res.status(500).json({ success: false, message: 'Could not discard draft' });
+    }
+});
+
+// ===================================================================
+// FINALISE INTO A TEAM (same validation and limits as POST /api/teams)
+// ===================================================================
+router.post('/:token/finalise', submitLimiter, loadDraft, async (req, res) => {
+    try {
+        const result = await finaliseDraft(req.draft, { ip: req.ip });
+        if (!result.success) {
+            return res.status(result.status).json({
+                success: false,
+                message: result.message,
+                errors: result.errors,
+                member_errors: result.memberErrors,
+                team_errors: result.teamErrors,
+                validation: result.feedback,
+                conflicts: result.conflicts
+            });
+        }
+
+        console.log(`✅ Draft finalised as ${result.team.reference_number}`);
+        res.status(201).json({
+            success: true,
+            message: 'Team registered successfully',
+            data: { reference_number: result.team.reference_number, aadhaar_verification: result.aadhaar_verification }
+        });
+    } catch (error) {
+        console.error('❌ Finalise draft error:', error);
+        res.status(500).json({ success: false, message: 'Registration failed' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const { lookupPincode } = require('../utils/pincodeDirectory');
+
+// ============================================
+// RATE LIMIT
+// ============================================
+const geoLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: 60,
+    message: 'Too many lookups, please slow down.',
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
+// ===================================================================
+// PINCODE LOOKUP (address autofill)
+// ===================================================================
+router.get('/pincode/:code', geoLimiter, (req, res) => {
+    try {
+        if (!/^\d{6}$/.test(req.params.code)) {
+            return res.status(400).json({ success: false, message: 'Please enter a valid 6-digit pincode' });
+        }
+
+        const result = lookupPincode(req.params.code);
+        if (!result) {
+            return res.status(404).json({ success: false, message: 'Pincode not found in the India Post directory' });
+        }
+
+        res.json({ success: true, data: result });
+    } catch (error) {
+        console.error('❌ Pincode lookup error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,142 @@
+const express = require('express');
+const router = express.Router();
+const NotificationJob = require('../models/NotificationJob');
+const { requireRole } = require('../middleware/auth');
+const { redriveJob, redriveDeadJobs } = require('../services/notificationQueue');
+const { recordAudit } = require('../services/auditService');
+
+const MAX_LIMIT = 200;
+const isValidId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
+
+/**
+ * Build a job filter from status, channel, type and team query params
+ */
+function buildJobFilter(query) {
+    const filter = {};
+    if (query.status) filter.status = { $in: String(query.status).split(',') };
+    if (query.channel) filter.channel = String(query.channel);
+    if (query.type) filter.type = String(query.type);
+    if (query.team) {
+        if (!isValidId(String(query.team))) {
+            return { error: 'Invalid team ID format' };
+        }
+        filter['payload.team_id'] = String(query.team);
+    }
+    return { filter };
+}
+
+// ===================================================================
+// LIST JOBS
+// Filters: status, channel, type, team  |  Paging: page, limit
+// ===================================================================
+router.get('/jobs', requireRole('superadmin'), async (req, res) => {
+    try {
+        const { filter, error } = buildJobFilter(req.query);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+        const [jobs, total, counts] = await Promise.all([
+            NotificationJob.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            NotificationJob.countDocuments(filter),
+            NotificationJob.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+        ]);
+
+        res.json({
+            success: true,
+            data: jobs,
+            counts: Object.fromEntries(counts.map(c => [c._id, c.count])),
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error fetching notification jobs:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// ===================================================================
+// RE-DRIVE ALL DEAD JOBS (optionally narrowed by channel, type, team)
+// ===================================================================
+router.post('/jobs/retry-dead', requireRole('superadmin'), async (req, res) => {
+    try {
+        const { filter, error } = buildJobFilter({ ...req.body, status: undefined });
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const count = await redriveDeadJobs(filter);
+
+        await recordAudit(req, {
+            action: 'notification.redrive',
+            metadata: { filter, count }
+        });
+
+        res.json({ success: true, message: `${count} job(s) queued for retry`, count });
+    } catch (error) {
+        console.error('❌ Error re-driving notification jobs:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// ===================================================================
+// GET SINGLE JOB
+// ===================================================================
+router.get('/jobs/:id', requireRole('superadmin'), async (req, res) => {
+    try {
+        if (!isValidId(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid job ID format' });
+        }
+
+        const job = await NotificationJob.findById(req.params.id);
+        if (!job) {
+            return res.status(404).json({ success: false, message: 'Job not found' });
+        }
+
+        res.json({ success: true, data: job });
+    } catch (error) {
+        console.error('❌ Error fetching notification job:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// ===================================================================
+// RE-DRIVE ONE JOB (dead, or pending a backoff retry)
+// ===================================================================
+router.post('/jobs/:id/retry', requireRole('superadmin'), async (req, res) => {
+    try {
+        if (!isValidId(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid job ID format' });
+        }
+
+        const job = await redriveJob(req.params.id);
+        if (!job) {
+            const exists = await NotificationJob.exists({ _id: req.params.id });
+            return exists
+                ? res.status(409).json({ success: false, message: 'Only failed jobs can be retried' })
+                : res.status(404).json({ success: false, message: 'Job not found' });
+        }
+
+        await recordAudit(req, {
+            action: 'notification.redrive',
+            metadata: { job: String(job._id), key: job.idempotency_key }
+        });
+
+        res.json({ success: true, message: 'Job queued for retry', data: job });
+    } catch (error) {
+        console.error('❌ Error re-driving notification job:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,267 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const rateLimit = require('express-rate-limit');
+const Team = require('../models/Team');
+const { hash } = require('../utils/encryption');
+const { processMembers, conflictErrors, aadhaarConflictMessage, isAadhaarIndexError } = require('../utils/memberValidator');
+const { signLeaderToken, authenticateLeader } = require('../middleware/auth');
+const { getProviderName, sendMail } = require('../services/emailService');
+const { getProviderName: getSmsProviderName, sendOtp } = require('../services/smsService');
+const { issuePasses } = require('../services/checkinService');
+const { claimTeamPhotos } = require('../services/photoService');
+
+const OTP_TTL_MS = 10 * 60 * 1000;
+const MAX_OTP_ATTEMPTS = 5;
+
+// Leaders may only amend their team before a decision is made
+const EDITABLE_STATUSES = ['pending', 'under_review'];
+
+// ============================================
+// RATE LIMIT
+// ============================================
+const otpLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 5,
+    message: 'Too many OTP requests, please try again later.',
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
+// ============================================
+// HELPERS
+// ============================================
+const hashOtp = (team, otp) => hash(`${team._id}:${otp}`);
+
+/**
+ * Deliver a login OTP to the team leader (first member) by SMS and/or email,
+ * whichever is configured; outside production the OTP is also logged so the
+ * portal can be exercised locally.
+ */
+async function deliverOtp(team, otp) {
+    const leader = team.members[0];
+
+    if (process.env.NODE_ENV !== 'production') {
+        console.log(`🔑 Portal OTP for ${team.reference_number}: ${otp}`);
+    }
+
+    if (!leader) return;
+
+    if (getSmsProviderName() && leader.mobile_encrypted) {
+        const result = await sendOtp(leader.decryptSensitive().mobile, otp);
+        if (!result.success) {
+            console.log(`⚠️ Portal OTP SMS not sent for ${team.reference_number}: ${result.message}`);
+        }
+    }
+
+    if (getProviderName() && leader.email) {
+        await sendMail({
+            to: leader.email,
+            subject: `Your login code for ${team.reference_number}`,
+            html: `<p>Your one-time login code is <strong>${otp}</strong>.</p><p>It expires in 10 minutes.</p>`,
+            text: `Your one-time login code is ${otp}. It expires in 10 minutes.`
+        });
+    }
+}
+
+/**
+ * Build the leader-facing view of a team (masked identifiers only)
+ */
+function toLeaderView(team) {
+    return {
+        id: team._id,
+        team_name: team.team_name,
+        reference_number: team.reference_number,
+        members_count: team.members_count,
+        submission_status: team.submission_status,
+        admin_notes: team.admin_notes,
+        editable: EDITABLE_STATUSES.includes(team.submission_status),
+        created_at: team.created_at,
+        status_history: (team.status_history || []).map(h => ({
+            status: h.to,
+            reason: h.reason,
+            changed_at: h.changed_at
+        })),
+        members: team.members.map(m => ({
+            _id: m._id,
+            name: m.name,
+            dob: m.dob,
+            age: m.age,
+            gender: m.gender,
+            id_number_masked: m.id_number_masked,
+            mobile_masked: m.mobile_masked,
+            email: m.email,
+            state: m.state,
+            district: m.district,
+            city: m.city,
+            street: m.street,
+            doorno: m.doorno,
+            pincode: m.pincode,
+            nearest_ttd_temple: m.nearest_ttd_temple,
+            photo_path: m.photo_path || m.photo,
+            aadhaar_verified: m.aadhaar_verified
+        }))
+    };
+}
+
+// ===================================================================
+// REQUEST LOGIN OTP
+// ===================================================================
+router.post('/otp/request', otpLimiter, async (req, res) => {
+    try {
+        const reference = String(req.body.reference_number || '').trim().toUpperCase();
+        if (!reference) {
+            return res.status(400).json({ success: false, message: 'Reference number is required' });
+        }
+
+        const team = await Team.findOne({ reference_number: reference, deleted_at: null });
+
+        // Same response either way so reference numbers cannot be probed
+        const response = { success: true, message: 'If the reference number is valid, an OTP has been sent to the team leader' };
+        if (!team) {
+            return res.json(response);
+        }
+
+        const otp = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+        team.leader_otp = {
+            otp_hash: hashOtp(team, otp),
+            expires_at: new Date(Date.now() + OTP_TTL_MS),
+            attempts: 0
+        };
+        await team.save({ validateBeforeSave: false });
+
+        await deliverOtp(team, otp);
+        res.json(response);
+    } catch (error) {
+        console.error('❌ Portal OTP request error:', error);
+        res.status(500).json({ success: false, message: 'Could not send OTP' });
+    }
+});
+
+// ===================================================================
+// VERIFY LOGIN OTP
+// ===================================================================
+router.post('/otp/verify', otpLimiter, async (req, res) => {
+    try {
+        const reference = String(req.body.reference_number || '').trim().toUpperCase();
+        const otp = String(req.body.otp || '').trim();
+
+        if (!reference || !/^\d{6}$/.test(otp)) {
+            return res.status(400).json({ success: false, message: 'Reference number and 6-digit OTP are required' });
+        }
+
+        const team = await Team.findOne({ reference_number: reference, deleted_at: null });
+        const stored = team && team.leader_otp;
+
+        if (!stored || !stored.otp_hash || stored.expires_at <= Date.now()) {
+            return res.status(401).json({ success: false, message: 'OTP expired or not requested' });
+        }
+
+        if (stored.attempts >= MAX_OTP_ATTEMPTS) {
+            return res.status(429).json({ success: false, message: 'Too many incorrect attempts, request a new OTP' });
+        }
+
+        if (stored.otp_hash !== hashOtp(team, otp)) {
+            team.leader_otp.attempts = stored.attempts + 1;
+            await team.save({ validateBeforeSave: false });
+            return res.status(401).json({ success: false, message: 'Invalid OTP' });
+        }
+
+        team.leader_otp = undefined;
+        await team.save({ validateBeforeSave: false });
+
+        console.log(`🔓 Leader logged in for ${team.reference_number}`);
+        res.json({ success: true, data: { access_token: signLeaderToken(team) } });
+    } catch (error) {
+        console.error('❌ Portal OTP verify error:', error);
+        res.status(500).json({ success: false, message: 'OTP verification failed' });
+    }
+});
+
+// ===================================================================
+// VIEW OWN TEAM
+// ===================================================================
+router.get('/team', authenticateLeader, (req, res) => {
+    res.json({ success: true, data: toLeaderView(req.team) });
+});
+
+// ===================================================================
+// CHECK-IN PASSES (one QR per member, once booked)
+// ===================================================================
+router.get('/team/passes', authenticateLeader, async (req, res) => {
+    try {
+        const result = await issuePasses(req.team);
+        if (!result.success) {
+            return res.status(result.status).json({ success: false, message: result.message });
+        }
+        res.json({ success: true, data: result.passes });
+    } catch (error) {
+        console.error('❌ Portal passes error:', error);
+        res.status(500).json({ success: false, message: 'Could not issue check-in passes' });
+    }
+});
+
+// ===================================================================
+// AMEND MEMBERS
+// ===================================================================
+router.put('/team/members', authenticateLeader, async (req, res) => {
+    try {
+        const team = req.team;
+
+        if (!EDITABLE_STATUSES.includes(team.submission_status)) {
+            return res.status(409).json({
+                success: false,
+                message: `Team can no longer be edited (status: ${team.submission_status})`
+            });
+        }
+
+        const processed = processMembers(req.body.members, team.members);
+        if (!processed.valid) {
+            return res.status(400).json({
+                success: false,
+                message: processed.message,
+                member_errors: processed.errors,
+                team_errors: processed.teamErrors
+            });
+        }
+
+        const conflicts = await Team.findAadhaarConflicts(processed.members, team._id);
+        if (conflicts.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: aadhaarConflictMessage(conflicts),
+                member_errors: conflictErrors(conflicts),
+                conflicts
+            });
+        }
+
+        team.members = processed.members;
+        team.members_count = processed.members.length;
+        // Save only if no reviewer has moved the team on since it was loaded
+        team.$where = { deleted_at: null, submission_status: { $in: EDITABLE_STATUSES } };
+        try {
+            await team.save();
+        } catch (error) {
+            if (error instanceof mongoose.Error.DocumentNotFoundError) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Team was reviewed while you were editing and can no longer be changed'
+                });
+            }
+            throw error;
+        }
+        await claimTeamPhotos(team);
+
+        console.log(`✏️ Leader updated members for ${team.reference_number}`);
+        res.json({ success: true, message: 'Team updated successfully', data: toLeaderView(team) });
+    } catch (error) {
+        if (isAadhaarIndexError(error)) {
+            return res.status(409).json({ success: false, message: 'Aadhaar already registered in another team' });
+        }
+        console.error('❌ Portal update error:', error);
+        res.status(500).json({ success: false, message: 'Update failed' });
+    }
+});
+
+module.exports = router;
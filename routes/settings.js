@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../middleware/auth');
+const { getRules, registrationWindowError, REQUIRABLE_FIELDS } = require('../utils/registrationRules');
+const { updateRules, resetRules } = require('../services/settingsService');
+const { recordAudit } = require('../services/auditService');
+
+/**
+ * Rules as shown to the registration form, with whether it is open now
+ */
+const rulesView = (rules) => {
+    const closedMessage = registrationWindowError();
+    return {
+        ...rules,
+        requirable_fields: Object.keys(REQUIRABLE_FIELDS),
+        registration_open: !closedMessage,
+        registration_message: closedMessage
+    };
+};
+
+/**
+ * Audit entries for the rule sections that changed
+ */
+const diffRules = (before, after) => Object.keys(after)
+    .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]))
+    .map(key => ({ path: key, before: before[key], after: after[key] }));
+
+/**
+ * Shared handler for update and reset
+ */
+const saveRules = (apply) => async (req, res) => {
+    try {
+        const result = await apply(req);
+        if (!result.success) {
+            return res.status(result.status).json({ success: false, message: result.message, errors: result.errors });
+        }
+
+        const changes = diffRules(result.before, result.rules);
+        if (changes.length > 0) {
+            await recordAudit(req, { action: 'settings.registration', changes });
+        }
+
+        console.log(`📏 Registration rules updated by ${req.admin.username} (${changes.map(c => c.path).join(', ') || 'no changes'})`);
+        res.json({ success: true, message: 'Registration rules saved', data: rulesView(result.rules) });
+    } catch (error) {
+        console.error('❌ Update registration rules error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// ===================================================================
+// CURRENT REGISTRATION RULES (public - the form shows the limits)
+// ===================================================================
+router.get('/registration', (req, res) => {
+    try {
+        res.json({ success: true, data: rulesView(getRules()) });
+    } catch (error) {
+        console.error('❌ Get registration rules error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// ===================================================================
+// UPDATE REGISTRATION RULES
+// Body: any of team_size { min, max }, age { min, max }, gender_limits,
+//       required_fields, window { opens_at, closes_at },
+//       submit_limit { window_minutes, max }
+// ===================================================================
+router.put('/registration', requireRole('superadmin'), saveRules(req => updateRules(req.body || {}, req.admin.username)));
+
+// ===================================================================
+// RESET TO BUILT-IN RULES
+// ===================================================================
+router.post('/registration/reset', requireRole('superadmin'), saveRules(req => resetRules(req.admin.username)));
+
+module.exports = router;
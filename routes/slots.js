@@ -0,0 +1,259 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const Slot = require('../models/Slot');
+const { requireRole } = require('../middleware/auth');
+const { assignTeamToSlot, releaseBooking } = require('../services/bookingService');
+const { recordAudit } = require('../services/auditService');
+const { notifyTeamEvent } = require('../services/notificationService');
+
+// ============================================
+// VALIDATION
+// ============================================
+const slotValidation = [
+    body('date').isISO8601().withMessage('Date must be YYYY-MM-DD'),
+    body('temple').trim().notEmpty().withMessage('Temple is required'),
+    body('darshan_type').trim().notEmpty().withMessage('Darshan type is required'),
+    body('capacity').isInt({ min: 1 }).withMessage('Capacity must be a positive number of members'),
+    body('status').optional().isIn(['draft', 'published']).withMessage('Status must be draft or published')
+];
+
+const isValidId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
+
+// ===================================================================
+// LIST SLOTS
+// ===================================================================
+router.get('/', requireRole('viewer'), async (req, res) => {
+    try {
+        const { from, to, temple, status } = req.query;
+        const filter = {};
+
+        if (from || to) {
+            filter.date = {};
+            if (from) filter.date.$gte = Slot.calendarDay(from);
+            if (to) filter.date.$lte = Slot.calendarDay(to);
+        }
+        if (temple) filter.temple = temple;
+        if (status) filter.status = status;
+
+        const slots = await Slot.find(filter).select('-bookings').sort({ date: 1, temple: 1 });
+        res.json({ success: true, data: slots });
+    } catch (error) {
+        console.error('❌ Error fetching slots:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// ===================================================================
+// CREATE SLOT
+// ===================================================================
+router.post('/', requireRole('superadmin'), slotValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const { date, temple, darshan_type, capacity, status } = req.body;
+
+        const slot = new Slot({
+            date: Slot.calendarDay(date),
+            temple,
+            darshan_type,
+            capacity,
+            status: status || 'draft',
+            created_by: req.admin.username
+        });
+        await slot.save();
+
+        console.log(`🗓️ Slot created: ${temple} / ${darshan_type} on ${date} (${capacity})`);
+        res.status(201).json({ success: true, data: slot });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({ success: false, message: 'A slot already exists for this date, temple and darshan type' });
+        }
+        console.error('❌ Create slot error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// ===================================================================
+// PUBLISH / CLOSE SLOT
+// ===================================================================
+const setStatus = (status) => async (req, res) => {
+    try {
+        if (!isValidId(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid slot ID format' });
+        }
+
+        const slot = await Slot.findByIdAndUpdate(req.params.id, { status }, { new: true }).select('-bookings');
+        if (!slot) {
+            return res.status(404).json({ success: false, message: 'Slot not found' });
+        }
+
+        console.log(`🗓️ Slot ${slot._id} ${status}`);
+        res.json({ success: true, data: slot });
+    } catch (error) {
+        console.error('❌ Slot status error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+router.post('/:id/publish', requireRole('superadmin'), setStatus('published'));
+router.post('/:id/close', requireRole('superadmin'), setStatus('closed'));
+
+// ===================================================================
+// UPDATE SLOT
+// ===================================================================
+router.put('/:id', requireRole('superadmin'), async (req, res) => {
+    try {
+        if (!isValidId(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid slot ID format' });
+        }
+
+        const { date, temple, darshan_type, capacity } = req.body;
+        const update = {};
+
+        if (date !== undefined) update.date = Slot.calendarDay(date);
+        if (temple !== undefined) update.temple = temple;
+        if (darshan_type !== undefined) update.darshan_type = darshan_type;
+
+        const filter = { _id: req.params.id };
+        if (capacity !== undefined) {
+            const newCapacity = Number(capacity);
+            if (!Number.isInteger(newCapacity) || newCapacity < 1) {
+                return res.status(400).json({ success: false, message: 'Capacity must be a positive number of members' });
+            }
+            // Atomic guard so capacity never drops below what is already booked
+            filter.booked_count = { $lte: newCapacity };
+            update.capacity = newCapacity;
+        }
+
+        const slot = await Slot.findOneAndUpdate(filter, update, { new: true, runValidators: true }).select('-bookings');
+        if (!slot) {
+            const exists = await Slot.exists({ _id: req.params.id });
+            return exists
+                ? res.status(409).json({ success: false, message: 'Capacity cannot be lower than members already booked' })
+                : res.status(404).json({ success: false, message: 'Slot not found' });
+        }
+
+        res.json({ success: true, data: slot });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({ success: false, message: 'A slot already exists for this date, temple and darshan type' });
+        }
+        console.error('❌ Update slot error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// ===================================================================
+// DELETE SLOT (only when empty)
+// ===================================================================
+router.delete('/:id', requireRole('superadmin'), async (req, res) => {
+    try {
+        if (!isValidId(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid slot ID format' });
+        }
+
+        const slot = await Slot.findOneAndDelete({ _id: req.params.id, booked_count: 0 });
+        if (!slot) {
+            const exists = await Slot.exists({ _id: req.params.id });
+            return exists
+                ? res.status(409).json({ success: false, message: 'Slot has bookings and cannot be deleted' })
+                : res.status(404).json({ success: false, message: 'Slot not found' });
+        }
+
+        res.json({ success: true, message: 'Slot deleted' });
+    } catch (error) {
+        console.error('❌ Delete slot error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// ===================================================================
+// ASSIGN TEAM TO SLOT
+// ===================================================================
+router.post('/:id/assign', requireRole('reviewer'), async (req, res) => {
+    try {
+        const { team_id } = req.body;
+        if (!isValidId(req.params.id) || !isValidId(String(team_id || ''))) {
+            return res.status(400).json({ success: false, message: 'Valid slot ID and team_id are required' });
+        }
+
+        const result = await assignTeamToSlot(req.params.id, team_id, req.admin.username);
+        if (!result.success) {
+            return res.status(result.status).json({ success: false, message: result.message });
+        }
+
+        await recordAudit(req, {
+            action: 'team.book',
+            team: result.team,
+            changes: [{ path: 'submission_status', before: 'verified', after: 'booked' }],
+            metadata: { slot: String(result.slot._id), date: result.slot.date, temple: result.slot.temple }
+        });
+
+        await notifyTeamEvent(result.team, 'booked');
+
+        console.log(`🎟️ Team ${result.team.team_name} booked on slot ${result.slot._id}`);
+        res.json({ success: true, message: 'Team booked', team: result.team, slot: result.slot });
+    } catch (error) {
+        console.error('❌ Assign slot error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// ===================================================================
+// CANCEL A TEAM'S BOOKING
+// ===================================================================
+router.delete('/:id/bookings/:teamId', requireRole('reviewer'), async (req, res) => {
+    try {
+        if (!isValidId(req.params.id) || !isValidId(req.params.teamId)) {
+            return res.status(400).json({ success: false, message: 'Invalid slot or team ID format' });
+        }
+
+        const result = await releaseBooking(req.params.teamId, req.params.id, {
+            changedBy: req.admin.username,
+            reason: req.body && req.body.reason
+        });
+        if (!result.success) {
+            return res.status(result.status).json({ success: false, message: result.message });
+        }
+
+        await recordAudit(req, {
+            action: 'team.unbook',
+            team: result.team,
+            changes: [{ path: 'submission_status', before: 'booked', after: 'verified' }],
+            metadata: { slot: req.params.id, reason: req.body && req.body.reason }
+        });
+
+        console.log(`↩️ Booking cancelled for ${result.team.team_name}`);
+        res.json({ success: true, message: 'Booking cancelled', team: result.team });
+    } catch (error) {
+        console.error('❌ Cancel booking error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// ===================================================================
+// GET SINGLE SLOT (Keep LAST!)
+// ===================================================================
+router.get('/:id', requireRole('viewer'), async (req, res) => {
+    try {
+        if (!isValidId(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid slot ID format' });
+        }
+
+        const slot = await Slot.findById(req.params.id).populate('bookings.team', 'team_name reference_number members_count');
+        if (!slot) {
+            return res.status(404).json({ success: false, message: 'Slot not found' });
+        }
+
+        res.json({ success: true, data: slot });
+    } catch (error) {
+        console.error('❌ Get slot error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+module.exports = router;
@@ -1,28 +1,25 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
-const cloudinary = require('cloudinary').v2;
+const { cloudinary, PHOTO_FOLDER } = require('../utils/cloudinary');
 const { CloudinaryStorage } = require('multer-storage-cloudinary');
-const { body, validationResult } = require('express-validator');
+const { validationResult } = require('express-validator');
 const Team = require('../models/Team');
-const { encrypt } = require('../utils/encryption');
+const { calculateAge, keepsVerification, aadhaarConflictMessage, isAadhaarIndexError, memberErrorsMessage } = require('../utils/memberValidator');
 const { validateAadhaar } = require('../utils/aadhaarValidator');
-const rateLimit = require('express-rate-limit');
-
-const {
-    sendNewTeamNotification,
-    sendTeamVerifiedNotification,
-    sendTeamDeletedNotification
-} = require('../services/telegramService');
-
-// ============================================
-// CLOUDINARY CONFIGURATION
-// ============================================
-cloudinary.config({
-    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-    api_key: process.env.CLOUDINARY_API_KEY,
-    api_secret: process.env.CLOUDINARY_API_SECRET
-});
+const { catalogueLoaded, findTemple } = require('../utils/templeCatalogue');
+const { isIssuedPhoto } = require('../utils/cloudinary');
+const { blindIndex } = require('../utils/encryption');
+const { requireRole, requireRoleOrLeader } = require('../middleware/auth');
+const { transitionTeam } = require('../services/workflowService');
+const { diffTeam, recordAudit } = require('../services/auditService');
+const { getRetentionDays, purgeDate } = require('../services/purgeService');
+const { buildTeamQuery } = require('../utils/teamQuery');
+const { notifyTeamEvent } = require('../services/notificationService');
+const { submitLimiter, teamValidation, registerTeam } = require('../services/registrationService');
+const { resolveColumns, buildRows, renderSpreadsheet, buildPhotoPack } = require('../services/exportService');
+const { renderSlip, verifySlipToken } = require('../services/slipService');
+const { recordUpload, claimTeamPhotos } = require('../services/photoService');
 
 // ============================================
 // CLOUDINARY STORAGE CONFIGURATION
@@ -30,7 +27,7 @@ cloudinary.config({
 const storage = new CloudinaryStorage({
     cloudinary: cloudinary,
     params: {
-        folder: 'ttd-registrations',
+        folder: PHOTO_FOLDER,
         allowed_formats: ['jpg', 'jpeg', 'png'],
         transformation: [
             { width: 800, height: 1000, crop: 'limit' },
@@ -64,67 +61,55 @@ const upload = multer({
     limits: { fileSize: 5 * 1024 * 1024 }
 });
 
-// ============================================
-// RATE LIMIT
-// ============================================
-const submitLimiter = rateLimit({
-    windowMs: 15 * 60 * 1000,
-    max: 5,
-    message: 'Too many submissions from this IP, try again later.',
-    standardHeaders: true,
-    legacyHeaders: false,
-    trustProxy: true,
-    keyGenerator: (req) => req.ip
-});
-
-// ============================================
-// VALIDATION
-// ============================================
-const teamValidation = [
-    body('team_name').trim().notEmpty(),
-    body('members_count').isInt({ min: 10, max: 15 }),
-    body('consent_given').equals('true'),
-    body('members').isArray({ min: 10, max: 15 })
-];
-
-// ============================================
-// HELPERS
-// ============================================
-const mask = (value, visible = 4) => {
-    if (!value) return '';
-    return `${'*'.repeat(Math.max(0, value.length - visible))}${value.slice(-visible)}`;
-};
-
-function calculateAge(dob) {
-    if (!dob) return null;
-    
-    let d;
-    if (/^\d{2}-\d{2}-\d{4}$/.test(dob)) {
-        const [day, month, year] = dob.split('-');
-        d = new Date(year, month - 1, day);
-    } else {
-        d = new Date(dob);
+/**
+ * Count the teams a built query matches. $text finds whole words only, so
+ * when it matches nothing the query's prefix-match fallback is used instead.
+ * @returns {Promise<object>} { filter, sort, projection, total }
+ */
+async function resolveTeamQuery(query) {
+    const total = await Team.countDocuments(query.filter);
+    if (total > 0 || !query.fallback) {
+        return { filter: query.filter, sort: query.sort, projection: query.projection, total };
     }
-    
-    if (isNaN(d.getTime())) return null;
-    
-    const t = new Date();
-    let age = t.getFullYear() - d.getFullYear();
-    if (t.getMonth() < d.getMonth() ||
-        (t.getMonth() === d.getMonth() && t.getDate() < d.getDate())) {
-        age--;
-    }
-    return age;
+    const { filter, sort } = query.fallback;
+    return { filter, sort, projection: undefined, total: await Team.countDocuments(filter) };
 }
 
 // ===================================================================
 // GET ALL TEAMS
 // ===================================================================
-router.get('/', async (req, res) => {
+// Query: page, limit, status, from, to, state, district, nearest_ttd_temple,
+//        min_members, max_members, search, sort, fields=summary
+router.get('/', requireRole('viewer'), async (req, res) => {
     try {
-        const teams = await Team.find({}).sort({ createdAt: -1 });
-        console.log(`📋 Found ${teams.length} teams`);
-        res.json({ success: true, data: teams });
+        const query = buildTeamQuery(req.query);
+        if (query.error) {
+            return res.status(400).json({ success: false, message: query.error });
+        }
+
+        const { page, limit } = query;
+        const { filter, sort, total, ...resolved } = await resolveTeamQuery(query);
+        let projection = resolved.projection || {};
+        if (req.query.fields === 'summary') {
+            projection = { ...projection, members: 0 };
+        }
+
+        const teams = await Team.find(filter, projection)
+            .sort(sort)
+            .skip((page - 1) * limit)
+            .limit(limit);
+
+        console.log(`📋 Found ${total} teams (page ${page})`);
+        res.json({
+            success: true,
+            data: teams,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
     } catch (error) {
         console.error('❌ Error fetching teams:', error);
         res.status(500).json({ success: false, message: error.message });
@@ -145,6 +130,45 @@ router.get('/check-name/:teamName', async (req, res) => {
     }
 });
 
+// ===================================================================
+// VERIFY A PRINTED SLIP (public, opened from the slip's QR code)
+// ===================================================================
+router.get('/slip/verify/:token', async (req, res) => {
+    try {
+        const slip = verifySlipToken(req.params.token);
+        if (!slip) {
+            return res.status(400).json({ success: false, message: 'Invalid or tampered slip' });
+        }
+
+        const team = await Team.findOne({ _id: slip.teamId, deleted_at: null })
+            .select('team_name reference_number submission_status members_count booking');
+        if (!team) {
+            return res.status(404).json({ success: false, message: 'Registration no longer exists' });
+        }
+
+        const valid = ['verified', 'booked'].includes(team.submission_status);
+        res.json({
+            success: true,
+            message: valid ? 'Registration is valid' : 'Registration is not verified',
+            data: {
+                valid,
+                team_name: team.team_name,
+                reference_number: team.reference_number,
+                status: team.submission_status,
+                members_count: team.members_count,
+                booking: team.booking && team.booking.date ? {
+                    date: team.booking.date,
+                    temple: team.booking.temple,
+                    darshan_type: team.booking.darshan_type
+                } : null
+            }
+        });
+    } catch (error) {
+        console.error('❌ Slip verify error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
 // ===================================================================
 // UPLOAD SINGLE PHOTO
 // ===================================================================
@@ -153,6 +177,7 @@ router.post('/photo', upload.single('photo'), async (req, res) => {
         if (!req.file) {
             return res.status(400).json({ success: false, message: 'No file uploaded' });
         }
+        await recordUpload(req.file, { ip: req.ip });
         res.json({
             success: true,
             message: 'Photo uploaded successfully',
@@ -177,59 +202,22 @@ router.post('/', submitLimiter, teamValidation, async (req, res) => {
             return res.status(400).json({ success: false, errors: errors.array() });
         }
 
-        const { team_name, members_count, members, consent_given } = req.body;
-
-        const nameExists = await Team.findOne({ team_name });
-        if (nameExists) {
-            return res.status(400).json({ success: false, message: 'Team name already exists' });
-        }
-
-        const processedMembers = [];
-        const aadhaarSet = new Set();
-
-        for (let i = 0; i < members.length; i++) {
-            const m = members[i];
-            const aadhaar = validateAadhaar(m.id_number);
-
-            if (!aadhaar.valid) {
-                return res.status(400).json({ success: false, message: aadhaar.message });
-            }
-
-            if (aadhaarSet.has(m.id_number)) {
-                return res.status(400).json({ success: false, message: 'Duplicate Aadhaar found' });
-            }
-
-            aadhaarSet.add(m.id_number);
-
-            const age = calculateAge(m.dob);
-            if (age !== null && age < 5) {
-                return res.status(400).json({ success: false, message: 'Age must be ≥ 5' });
-            }
-
-            processedMembers.push({
-                ...m,
-                age,
-                id_number_encrypted: encrypt(m.id_number),
-                mobile_encrypted: encrypt(m.mobile),
-                id_number_masked: mask(m.id_number),
-                mobile_masked: mask(m.mobile),
-                photo_path: m.photo_path
+        const result = await registerTeam(req.body, { ip: req.ip });
+        if (!result.success) {
+            return res.status(result.status).json({
+                success: false,
+                message: result.message,
+                member_errors: result.memberErrors,
+                team_errors: result.teamErrors,
+                conflicts: result.conflicts
             });
         }
 
-        const team = new Team({
-            team_name,
-            members_count,
-            members: processedMembers,
-            submission_status: 'pending',
-            consent_given: consent_given === 'true',
-            submitted_by_ip: req.ip
+        res.status(201).json({
+            success: true,
+            message: 'Team registered successfully',
+            data: { reference_number: result.team.reference_number, aadhaar_verification: result.aadhaar_verification }
         });
-
-        await team.save();
-        sendNewTeamNotification(team).catch(() => {});
-
-        res.status(201).json({ success: true, message: 'Team registered successfully' });
     } catch (e) {
         console.error('❌ Registration error:', e);
         res.status(500).json({ success: false, message: 'Registration failed' });
@@ -237,32 +225,59 @@ router.post('/', submitLimiter, teamValidation, async (req, res) => {
 });
 
 // ===================================================================
-// VERIFY TEAM
+// STATUS TRANSITIONS
 // ===================================================================
-router.put('/:id/verify', async (req, res) => {
+const isValidId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
+
+/**
+ * Build a handler that moves a team to the given status
+ */
+const transitionHandler = (to, successMessage, event) => async (req, res) => {
     try {
-        const team = await Team.findByIdAndUpdate(
-            req.params.id,
-            { submission_status: 'verified' },
-            { new: true }
-        );
+        if (!isValidId(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid team ID format' });
+        }
 
-        if (!team) {
-            return res.status(404).json({ success: false, message: 'Team not found' });
+        const result = await transitionTeam(req.params.id, to, {
+            changedBy: req.admin.username,
+            reason: req.body && req.body.reason
+        });
+
+        if (!result.success) {
+            return res.status(result.status).json({ success: false, message: result.message });
         }
 
-        sendTeamVerifiedNotification(team).catch(() => {});
-        res.json({ success: true, message: 'Team verified', team });
+        await recordAudit(req, {
+            action: 'team.status_change',
+            team: result.team,
+            changes: [{ path: 'submission_status', before: result.from, after: to }],
+            metadata: { reason: req.body && req.body.reason }
+        });
+
+        if (event) await notifyTeamEvent(result.team, event);
+        res.json({ success: true, message: successMessage, team: result.team });
     } catch (error) {
-        console.error('❌ Verify error:', error);
+        console.error(`❌ Transition to ${to} error:`, error);
         res.status(500).json({ success: false, message: error.message });
     }
-});
+};
+
+// Start reviewing (also reopens a verified or rejected team)
+router.put('/:id/review', requireRole('reviewer'), transitionHandler('under_review', 'Team under review'));
+
+// VERIFY TEAM
+router.put('/:id/verify', requireRole('reviewer'), transitionHandler('verified', 'Team verified', 'verified'));
+
+// REJECT TEAM (reason required)
+router.put('/:id/reject', requireRole('reviewer'), transitionHandler('rejected', 'Team rejected', 'rejected'));
+
+// SEND BACK TO LEADER FOR CHANGES (reason required)
+router.put('/:id/request-changes', requireRole('reviewer'), transitionHandler('pending', 'Changes requested'));
 
 // ===================================================================
-// ✅ UPDATE TEAM (ADMIN EDIT) - FIXED with validation bypass
+// ✅ UPDATE TEAM (ADMIN EDIT)
 // ===================================================================
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireRole('reviewer'), async (req, res) => {
     try {
         const teamId = req.params.id;
         console.log('═'.repeat(50));
@@ -276,7 +291,7 @@ router.put('/:id', async (req, res) => {
             });
         }
 
-        const team = await Team.findById(teamId);
+        const team = await Team.findOne({ _id: teamId, deleted_at: null });
         
         if (!team) {
             return res.status(404).json({ 
@@ -287,43 +302,109 @@ router.put('/:id', async (req, res) => {
 
         console.log('✅ Team found:', team.team_name);
 
+        const before = team.toObject();
         const { team_name, admin_notes, members, submission_status } = req.body;
 
+        // Status only moves through the workflow endpoints so history is kept
+        if (submission_status !== undefined && submission_status !== team.submission_status) {
+            return res.status(400).json({
+                success: false,
+                message: 'Use the review, verify, reject or request-changes endpoints to change status'
+            });
+        }
+
         if (team_name !== undefined) team.team_name = team_name;
         if (admin_notes !== undefined) team.admin_notes = admin_notes;
-        if (submission_status !== undefined) team.submission_status = submission_status;
 
         if (members && Array.isArray(members)) {
             console.log('📝 Updating', members.length, 'members');
+
+            // Members of a booked team hold slot seats and check-in passes
+            if (team.submission_status === 'booked') {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Team is booked; release its slot booking before changing members'
+                });
+            }
+
+            // A new Aadhaar or date of birth must be valid, a changed temple must come
+            // from the catalogue and a changed photo from the uploads
+            const memberErrors = {};
+            const addError = (index, field, message) => {
+                memberErrors[index] = { ...memberErrors[index], [field]: message };
+            };
+            members.forEach((newMember, index) => {
+                const stored = team.members[index];
+                if (newMember.id_number) {
+                    const aadhaar = validateAadhaar(String(newMember.id_number).replace(/\s/g, ''));
+                    if (!aadhaar.valid) addError(index, 'id_number', aadhaar.message);
+                }
+                if (newMember.dob && calculateAge(String(newMember.dob)) === null) {
+                    addError(index, 'dob', 'Date of birth must be DD-MM-YYYY');
+                }
+                const temple = newMember.nearest_ttd_temple;
+                if (temple && catalogueLoaded() && !findTemple(temple) && !(stored && stored.nearest_ttd_temple === temple)) {
+                    addError(index, 'nearest_ttd_temple', 'Choose a temple from the TTD temple list');
+                }
+                ['photo_path', 'photo'].forEach(field => {
+                    const photo = newMember[field];
+                    if (photo && !isIssuedPhoto(String(photo).trim()) && !(stored && stored[field] === photo)) {
+                        addError(index, 'photo', 'Photo must be uploaded through the photo upload');
+                    }
+                });
+            });
+            if (Object.keys(memberErrors).length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: memberErrorsMessage(memberErrors),
+                    member_errors: memberErrors
+                });
+            }
             
             team.members = members.map((newMember, index) => {
-                const existingMember = team.members[index] || {};
+                const stored = team.members[index];
+                const existingMember = stored ? stored.toObject() : {};
+                const temple = findTemple(newMember.nearest_ttd_temple);
+                const sameTemple = !newMember.nearest_ttd_temple || newMember.nearest_ttd_temple === existingMember.nearest_ttd_temple;
+
+                // Plaintext is encrypted and stripped by the model on save.
+                // Legacy plaintext copies are carried over so they get protected too.
+                const idNumber = newMember.id_number
+                    ? String(newMember.id_number).replace(/\s/g, '')
+                    : existingMember.id_number_full || existingMember.id_number;
+                const mobile = newMember.mobile || existingMember.mobile_full || existingMember.mobile;
+                const idNumberIndex = idNumber ? blindIndex(idNumber) : existingMember.id_number_index;
+                const dob = newMember.dob || existingMember.dob;
+                const age = calculateAge(dob);
+                const identity = {
+                    name: newMember.name || existingMember.name,
+                    dob,
+                    gender: newMember.gender || existingMember.gender
+                };
+                // A changed Aadhaar, name, date of birth or gender has to be verified again
+                const keepVerification = keepsVerification(existingMember, identity, idNumberIndex);
                 
                 // ✅ Merge and ensure all required fields have values
                 return {
                     // Start with existing data
                     ...existingMember,
                     // Override with new data
-                    name: newMember.name || existingMember.name,
-                    dob: newMember.dob || existingMember.dob,
-                    age: newMember.age || existingMember.age,
-                    gender: newMember.gender || existingMember.gender,
+                    name: identity.name,
+                    dob,
+                    // Age always follows the date of birth, never the request
+                    age: age === null ? existingMember.age : age,
+                    gender: identity.gender,
                     
                     // ID fields
-                    id_number: newMember.id_number || existingMember.id_number || '',
-                    id_number_full: newMember.id_number || existingMember.id_number_full || existingMember.id_number || '',
-                    id_number_encrypted: existingMember.id_number_encrypted || '',
-                    id_number_masked: newMember.id_number 
-                        ? mask(newMember.id_number) 
-                        : (existingMember.id_number_masked || ''),
+                    id_number: idNumber || undefined,
+                    id_number_full: undefined,
+                    id_number_index: idNumberIndex,
+                    aadhaar_verified: keepVerification,
+                    aadhaar_verification_log: keepVerification ? existingMember.aadhaar_verification_log : undefined,
                     
                     // Mobile fields
-                    mobile: newMember.mobile || existingMember.mobile || '',
-                    mobile_full: newMember.mobile || existingMember.mobile_full || existingMember.mobile || '',
-                    mobile_encrypted: existingMember.mobile_encrypted || '',
-                    mobile_masked: newMember.mobile 
-                        ? mask(newMember.mobile) 
-                        : (existingMember.mobile_masked || ''),
+                    mobile: mobile || undefined,
+                    mobile_full: undefined,
                     
                     // Other fields
                     email: newMember.email || existingMember.email || '',
@@ -333,19 +414,51 @@ router.put('/:id', async (req, res) => {
                     street: newMember.street || existingMember.street || '',
                     doorno: newMember.doorno || existingMember.doorno || '',
                     pincode: newMember.pincode || existingMember.pincode || '',
-                    nearest_ttd_temple: newMember.nearest_ttd_temple || existingMember.nearest_ttd_temple || '',
+                    nearest_ttd_temple: temple ? temple.name : (newMember.nearest_ttd_temple || existingMember.nearest_ttd_temple || ''),
+                    nearest_ttd_temple_id: temple ? temple._id : (sameTemple ? existingMember.nearest_ttd_temple_id : undefined),
                     photo_path: newMember.photo_path || newMember.photo || existingMember.photo_path || '',
                     photo: newMember.photo_path || newMember.photo || existingMember.photo || ''
                 };
             });
             
             team.members_count = members.length;
+
+            // Same check as processMembers: one pilgrim cannot appear twice in a team
+            const duplicates = {};
+            const positions = new Map();
+            team.members.forEach((member, index) => {
+                if (!member.id_number_index) return;
+                if (positions.has(member.id_number_index)) {
+                    duplicates[index] = { id_number: `Same Aadhaar as member ${positions.get(member.id_number_index) + 1}` };
+                } else {
+                    positions.set(member.id_number_index, index);
+                }
+            });
+            if (Object.keys(duplicates).length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: memberErrorsMessage(duplicates),
+                    member_errors: duplicates
+                });
+            }
         }
 
         team.updated_at = new Date();
 
-        // ✅ Save with validation disabled for update
-        await team.save({ validateBeforeSave: false });
+        const conflicts = await Team.findAadhaarConflicts(team.members, team._id);
+        if (conflicts.length > 0) {
+            return res.status(409).json({ success: false, message: aadhaarConflictMessage(conflicts), conflicts });
+        }
+
+        await team.save();
+
+        await claimTeamPhotos(team);
+
+        await recordAudit(req, {
+            action: 'team.update',
+            team,
+            changes: diffTeam(before, team.toObject())
+        });
         
         console.log('✅ Team updated successfully');
         console.log('═'.repeat(50));
@@ -357,6 +470,15 @@ router.put('/:id', async (req, res) => {
         });
 
     } catch (error) {
+        if (isAadhaarIndexError(error)) {
+            return res.status(409).json({ success: false, message: 'Aadhaar already registered in another team' });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(e => e.message).join('; ')
+            });
+        }
         console.error('❌ Update error:', error.message);
         console.error('Full error:', error);
         res.status(500).json({ 
@@ -367,27 +489,335 @@ router.put('/:id', async (req, res) => {
 });
 
 // ===================================================================
-// DELETE TEAM
+// DELETE TEAM (moves it to the trash)
 // ===================================================================
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireRole('superadmin'), async (req, res) => {
     try {
-        const team = await Team.findByIdAndDelete(req.params.id);
-        if (!team) {
+        if (!isValidId(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid team ID format' });
+        }
+
+        const existing = await Team.findOne({ _id: req.params.id, deleted_at: null });
+        if (!existing) {
             return res.status(404).json({ success: false, message: 'Team not found' });
         }
+        if (existing.submission_status === 'booked') {
+            return res.status(409).json({ success: false, message: 'Cancel the team\'s booking before deleting it' });
+        }
+
+        const deletedAt = new Date();
+        const team = await Team.findOneAndUpdate(
+            { _id: existing._id, deleted_at: null, submission_status: { $ne: 'booked' } },
+            { $set: { deleted_at: deletedAt, deleted_by: req.admin.username } },
+            { new: true }
+        );
+        if (!team) {
+            return res.status(409).json({ success: false, message: 'Team changed meanwhile, please retry' });
+        }
 
-        sendTeamDeletedNotification(team).catch(() => {});
-        res.json({ success: true, message: 'Team deleted' });
+        await recordAudit(req, {
+            action: 'team.delete',
+            team,
+            changes: [{ path: 'deleted_at', before: null, after: deletedAt.toISOString() }]
+        });
+
+        await notifyTeamEvent(team, 'deleted');
+        res.json({
+            success: true,
+            message: 'Team moved to trash',
+            purge_at: purgeDate(deletedAt)
+        });
     } catch (error) {
         console.error('❌ Delete error:', error);
         res.status(500).json({ success: false, message: error.message });
     }
 });
 
+// ===================================================================
+// TRASH - Deleted teams awaiting purge
+// ===================================================================
+router.get('/trash', requireRole('superadmin'), async (req, res) => {
+    try {
+        const teams = await Team.find({ deleted_at: { $ne: null } })
+            .select('team_name reference_number members_count submission_status deleted_at deleted_by')
+            .sort({ deleted_at: -1 });
+
+        res.json({
+            success: true,
+            retention_days: getRetentionDays(),
+            data: teams.map(t => ({ ...t.toJSON(), purge_at: purgeDate(t.deleted_at) }))
+        });
+    } catch (error) {
+        console.error('❌ Error fetching trash:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// ===================================================================
+// RESTORE TEAM FROM TRASH
+// ===================================================================
+router.post('/:id/restore', requireRole('superadmin'), async (req, res) => {
+    try {
+        if (!isValidId(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid team ID format' });
+        }
+
+        const trashed = await Team.findOne({ _id: req.params.id, deleted_at: { $ne: null } });
+        if (!trashed) {
+            return res.status(404).json({ success: false, message: 'Team not found in trash' });
+        }
+
+        // Members may have registered elsewhere while the team was in the trash
+        const conflicts = await Team.findAadhaarConflicts(trashed.members, trashed._id);
+        if (conflicts.length > 0) {
+            return res.status(409).json({ success: false, message: aadhaarConflictMessage(conflicts), conflicts });
+        }
+
+        const team = await Team.findOneAndUpdate(
+            { _id: trashed._id, deleted_at: { $ne: null } },
+            { $set: { deleted_at: null }, $unset: { deleted_by: 1 } }
+        );
+        if (!team) {
+            return res.status(404).json({ success: false, message: 'Team not found in trash' });
+        }
+
+        await recordAudit(req, {
+            action: 'team.restore',
+            team,
+            changes: [{ path: 'deleted_at', before: team.deleted_at.toISOString(), after: null }]
+        });
+
+        console.log(`♻️ Team restored: ${team.team_name}`);
+        res.json({ success: true, message: 'Team restored', team: await Team.findById(team._id) });
+    } catch (error) {
+        if (isAadhaarIndexError(error)) {
+            return res.status(409).json({ success: false, message: 'Aadhaar already registered in another team' });
+        }
+        console.error('❌ Restore error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// ===================================================================
+// EXPORT (CSV / XLSX / ZIP with member photos)
+// ===================================================================
+const EXPORT_MAX_TEAMS = 1000;
+const PHOTO_PACK_MAX_TEAMS = 50;
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    zip: 'application/zip'
+};
+
+/**
+ * Read format, columns and unmask from the query. Unmasked Aadhaar and
+ * mobile numbers need the reviewer role.
+ * @returns {object} { format, sheetFormat, columns, unmasked } or { status, error }
+ */
+function exportOptions(req, defaultFormat) {
+    const format = String(req.query.format || defaultFormat).toLowerCase();
+    if (!CONTENT_TYPES[format]) {
+        return { status: 400, error: 'Format must be csv, xlsx or zip' };
+    }
+
+    // The spreadsheet inside a ZIP
+    const sheetFormat = format === 'zip'
+        ? String(req.query.sheet || 'xlsx').toLowerCase()
+        : format;
+    if (!['csv', 'xlsx'].includes(sheetFormat)) {
+        return { status: 400, error: 'Sheet must be csv or xlsx' };
+    }
+
+    const { columns, error } = resolveColumns(req.query.columns);
+    if (error) {
+        return { status: 400, error };
+    }
+
+    const unmasked = req.query.unmask === 'true';
+    if (unmasked && !req.admin.hasRole('reviewer')) {
+        return { status: 403, error: 'Unmasked exports require the reviewer role' };
+    }
+
+    return { format, sheetFormat, columns, unmasked };
+}
+
+/**
+ * Send the spreadsheet or ZIP pack for the given teams and audit it
+ */
+async function sendExport(req, res, teams, options, baseName, team) {
+    const { format, sheetFormat, columns, unmasked } = options;
+    const members = teams.reduce((sum, t) => sum + t.members.length, 0);
+    const metadata = {
+        format,
+        teams: teams.length,
+        members,
+        unmasked,
+        columns: columns.map(c => c.key)
+    };
+
+    const sendHeaders = () => {
+        res.setHeader('Content-Disposition', `attachment; filename="${baseName}.${format}"`);
+        res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    };
+
+    if (format !== 'zip') {
+        const file = await renderSpreadsheet(format, columns, buildRows(teams, columns, unmasked));
+        await recordAudit(req, { action: 'team.export', team, metadata });
+        console.log(`📤 Exported ${members} members from ${teams.length} teams (${format})`);
+        sendHeaders();
+        return res.send(file);
+    }
+
+    const pack = await buildPhotoPack(teams, { format: sheetFormat, columns, unmasked, baseName });
+    await recordAudit(req, {
+        action: 'team.export',
+        team,
+        metadata: { ...metadata, photos: pack.photos, missing_photos: pack.missing }
+    });
+    console.log(`📦 Photo pack: ${teams.length} teams, ${pack.photos} photos, ${pack.missing} missing`);
+
+    sendHeaders();
+    pack.stream.on('error', (error) => {
+        console.error('❌ Photo pack stream error:', error);
+        res.destroy(error);
+    });
+    pack.stream.pipe(res);
+}
+
+// Query: format=csv|xlsx|zip, sheet=csv|xlsx (inside a ZIP), columns=a,b,c,
+//        unmask=true, plus the filters and sort of GET /
+router.get('/export', requireRole('viewer'), async (req, res) => {
+    try {
+        const options = exportOptions(req, 'csv');
+        if (options.error) {
+            return res.status(options.status).json({ success: false, message: options.error });
+        }
+
+        const query = buildTeamQuery(req.query);
+        if (query.error) {
+            return res.status(400).json({ success: false, message: query.error });
+        }
+
+        const maxTeams = options.format === 'zip' ? PHOTO_PACK_MAX_TEAMS : EXPORT_MAX_TEAMS;
+        const { filter, sort, projection, total } = await resolveTeamQuery(query);
+        if (total > maxTeams) {
+            return res.status(400).json({
+                success: false,
+                message: `${total} teams match; narrow the filters to at most ${maxTeams} for this format`
+            });
+        }
+
+        const teams = await Team.find(filter, projection || {}).sort(sort);
+        const stamp = new Date().toISOString().slice(0, 10);
+        await sendExport(req, res, teams, options, `teams-${stamp}`);
+    } catch (error) {
+        console.error('❌ Export error:', error);
+        if (res.headersSent) return res.destroy(error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Single team; format defaults to zip. Same options as GET /export
+router.get('/:id/export', requireRole('viewer'), async (req, res) => {
+    try {
+        if (!isValidId(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid team ID format' });
+        }
+
+        const options = exportOptions(req, 'zip');
+        if (options.error) {
+            return res.status(options.status).json({ success: false, message: options.error });
+        }
+
+        const team = await Team.findOne({ _id: req.params.id, deleted_at: null });
+        if (!team) {
+            return res.status(404).json({ success: false, message: 'Team not found' });
+        }
+
+        const baseName = team.reference_number || `team-${team._id}`;
+        await sendExport(req, res, [team], options, baseName, team);
+    } catch (error) {
+        console.error('❌ Team export error:', error);
+        if (res.headersSent) return res.destroy(error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// ===================================================================
+// PRINTABLE REGISTRATION SLIP (admins, or the team's own leader)
+// ===================================================================
+router.get('/:id/slip.pdf', requireRoleOrLeader('viewer'), async (req, res) => {
+    try {
+        if (!isValidId(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid team ID format' });
+        }
+
+        let team = req.team;
+        if (team) {
+            if (String(team._id) !== req.params.id) {
+                return res.status(403).json({ success: false, message: 'You can only download your own team\'s slip' });
+            }
+            if (!['verified', 'booked'].includes(team.submission_status)) {
+                return res.status(409).json({ success: false, message: 'The slip is available once your team is verified' });
+            }
+        } else {
+            team = await Team.findOne({ _id: req.params.id, deleted_at: null });
+            if (!team) {
+                return res.status(404).json({ success: false, message: 'Team not found' });
+            }
+        }
+
+        const pdf = await renderSlip(team);
+        const fileName = `slip-${team.reference_number || team._id}.pdf`;
+
+        console.log(`🧾 Slip generated for ${team.team_name}`);
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `inline; filename="${fileName}"`);
+        res.send(pdf);
+    } catch (error) {
+        console.error('❌ Slip error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// ===================================================================
+// REVEAL DECRYPTED AADHAAR / MOBILE (audited)
+// ===================================================================
+router.get('/:id/sensitive', requireRole('reviewer'), async (req, res) => {
+    try {
+        if (!isValidId(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid team ID format' });
+        }
+
+        const team = await Team.findOne({ _id: req.params.id, deleted_at: null });
+        if (!team) {
+            return res.status(404).json({ success: false, message: 'Team not found' });
+        }
+
+        const members = team.members.map(m => ({
+            _id: m._id,
+            name: m.name,
+            ...m.decryptSensitive()
+        }));
+
+        await recordAudit(req, {
+            action: 'team.reveal_sensitive',
+            team,
+            metadata: { members: members.length }
+        });
+
+        res.json({ success: true, data: { team_id: team._id, members } });
+    } catch (error) {
+        console.error('❌ Reveal error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
 // ===================================================================
 // GET SINGLE TEAM (Keep LAST!)
 // ===================================================================
-router.get('/:id', async (req, res) => {
+router.get('/:id', requireRole('viewer'), async (req, res) => {
     try {
         const teamId = req.params.id;
         
@@ -398,7 +828,7 @@ router.get('/:id', async (req, res) => {
             });
         }
         
-        const team = await Team.findById(teamId);
+        const team = await Team.findOne({ _id: teamId, deleted_at: null });
         
         if (!team) {
             return res.status(404).json({ 
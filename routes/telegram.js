@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const { isValidWebhookSecret, handleUpdate } = require('../services/telegramBot');
+
+// ===================================================================
+// BOT WEBHOOK - Telegram delivers updates here (see setupWebhook)
+// ===================================================================
+router.post('/webhook', async (req, res) => {
+    if (!isValidWebhookSecret(req.get('X-Telegram-Bot-Api-Secret-Token'))) {
+        return res.status(401).json({ success: false, message: 'Invalid webhook secret' });
+    }
+
+    // handleUpdate never throws; always acknowledge so Telegram doesn't redeliver
+    await handleUpdate(req.body || {});
+    res.json({ success: true });
+});
+
+module.exports = router;
@@ -0,0 +1,165 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const { body, validationResult } = require('express-validator');
+const TtdTemple = require('../models/TtdTemple');
+const { requireRole } = require('../middleware/auth');
+const { nearestTemples, createTemple, updateTemple, deleteTemple } = require('../services/templeService');
+
+// ============================================
+// RATE LIMIT
+// ============================================
+const nearestLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: 60,
+    message: 'Too many lookups, please slow down.',
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
+// ============================================
+// VALIDATION
+// ============================================
+const TEMPLE_TYPES = ['temple', 'information_centre'];
+
+const templeValidation = (optional) => {
+    const field = (name) => (optional ? body(name).optional() : body(name));
+    return [
+        field('name').trim().notEmpty().withMessage('Temple name is required'),
+        field('pincode').trim().matches(/^\d{6}$/).withMessage('Please enter a valid 6-digit pincode'),
+        body('type').optional().isIn(TEMPLE_TYPES).withMessage(`Type must be one of ${TEMPLE_TYPES.join(', ')}`),
+        body(['address', 'city', 'district', 'state']).optional().trim(),
+        body('latitude').optional({ values: 'null' }).isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+        body('longitude').optional({ values: 'null' }).isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+        body('is_active').optional().isBoolean().toBoolean()
+    ];
+};
+
+const isValidId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
+
+const PUBLIC_FIELDS = 'name type address city district state pincode latitude longitude';
+
+// ===================================================================
+// LIST ACTIVE TEMPLES (registration form choices)
+// ===================================================================
+router.get('/', async (req, res) => {
+    try {
+        const temples = await TtdTemple.find({ is_active: true }).select(PUBLIC_FIELDS).sort({ state: 1, name: 1 });
+        res.json({ success: true, data: temples });
+    } catch (error) {
+        console.error('❌ Error fetching temples:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// ===================================================================
+// NEAREST TEMPLES TO A PINCODE
+// Query: pincode, limit (default 5, max 20)
+// ===================================================================
+router.get('/nearest', nearestLimiter, async (req, res) => {
+    try {
+        const pincode = String(req.query.pincode || '').trim();
+        if (!/^\d{6}$/.test(pincode)) {
+            return res.status(400).json({ success: false, message: 'Please enter a valid 6-digit pincode' });
+        }
+
+        const result = await nearestTemples(pincode, req.query.limit);
+        if (!result.success) {
+            return res.status(result.status).json({ success: false, message: result.message });
+        }
+
+        res.json({ success: true, data: { pincode, origin: result.origin, temples: result.temples } });
+    } catch (error) {
+        console.error('❌ Nearest temple error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// ===================================================================
+// FULL CATALOGUE (including inactive)
+// ===================================================================
+router.get('/all', requireRole('viewer'), async (req, res) => {
+    try {
+        const temples = await TtdTemple.find().sort({ state: 1, name: 1 });
+        res.json({ success: true, data: temples });
+    } catch (error) {
+        console.error('❌ Error fetching temple catalogue:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// ===================================================================
+// CREATE TEMPLE
+// Body: name, pincode, type, address, city, district, state,
+//       latitude + longitude (default: pincode centroid), is_active
+// ===================================================================
+router.post('/', requireRole('superadmin'), templeValidation(false), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const result = await createTemple(req.body, req.admin.username);
+        if (!result.success) {
+            return res.status(result.status).json({ success: false, message: result.message });
+        }
+
+        console.log(`🛕 Temple added: ${result.temple.name} (${result.temple.pincode})`);
+        res.status(201).json({ success: true, data: result.temple });
+    } catch (error) {
+        console.error('❌ Create temple error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// ===================================================================
+// UPDATE TEMPLE (renames carry over to members who chose it)
+// ===================================================================
+router.put('/:id', requireRole('superadmin'), templeValidation(true), async (req, res) => {
+    try {
+        if (!isValidId(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid temple ID format' });
+        }
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const result = await updateTemple(req.params.id, req.body, req.admin.username);
+        if (!result.success) {
+            return res.status(result.status).json({ success: false, message: result.message });
+        }
+
+        console.log(`🛕 Temple updated: ${result.temple.name}${result.renamed ? ` (renamed on ${result.renamed} teams)` : ''}`);
+        res.json({ success: true, data: result.temple, renamed_teams: result.renamed });
+    } catch (error) {
+        console.error('❌ Update temple error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// ===================================================================
+// DELETE TEMPLE (only when no member has chosen it)
+// ===================================================================
+router.delete('/:id', requireRole('superadmin'), async (req, res) => {
+    try {
+        if (!isValidId(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid temple ID format' });
+        }
+
+        const result = await deleteTemple(req.params.id);
+        if (!result.success) {
+            return res.status(result.status).json({ success: false, message: result.message });
+        }
+
+        console.log(`🛕 Temple deleted: ${result.temple.name}`);
+        res.json({ success: true, message: 'Temple deleted' });
+    } catch (error) {
+        console.error('❌ Delete temple error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+module.exports = router;
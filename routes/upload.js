@@ -1,17 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
-const cloudinary = require('cloudinary').v2;
+const { cloudinary, PHOTO_FOLDER } = require('../utils/cloudinary');
 const { CloudinaryStorage } = require('multer-storage-cloudinary');
-
-// ============================================
-// CLOUDINARY CONFIGURATION
-// ============================================
-cloudinary.config({
-    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-    api_key: process.env.CLOUDINARY_API_KEY,
-    api_secret: process.env.CLOUDINARY_API_SECRET
-});
+const { recordUpload } = require('../services/photoService');
 
 // ============================================
 // CLOUDINARY STORAGE CONFIGURATION
@@ -19,7 +11,7 @@ cloudinary.config({
 const storage = new CloudinaryStorage({
     cloudinary: cloudinary,
     params: {
-        folder: 'ttd-registrations', // Folder in Cloudinary
+        folder: PHOTO_FOLDER, // Folder in Cloudinary
         allowed_formats: ['jpg', 'jpeg', 'png'],
         transformation: [
             { width: 800, height: 1000, crop: 'limit' }, // Max dimensions
@@ -69,6 +61,8 @@ router.post('/photo', upload.single('photo'), async (req, res) => {
             });
         }
 
+        await recordUpload(req.file, { ip: req.ip });
+
         console.log('✅ Photo uploaded to Cloudinary');
         console.log('   URL:', req.file.path);
         console.log('   Public ID:', req.file.filename);
@@ -109,6 +103,10 @@ router.post('/photos', upload.array('photos', 15), async (req, res) => {
             });
         }
 
+        for (const file of req.files) {
+            await recordUpload(file, { ip: req.ip });
+        }
+
         const uploadedFiles = req.files.map(file => ({
             filename: file.filename,
             path: file.path,
@@ -3,8 +3,21 @@ const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const rateLimit = require('express-rate-limit');
 const { validateAadhaar } = require('../utils/aadhaarValidator');
-const Team = require('../models/Team');
-const { encrypt } = require('../utils/encryption');
+const { decrypt } = require('../utils/encryption');
+const { authenticateLeader } = require('../middleware/auth');
+const { getProvider, ProviderError } = require('../services/aadhaarProviders');
+const multer = require('multer');
+const { verifyOfflineZip, verifySecureQr, crossCheck } = require('../services/offlineKycService');
+const {
+    newSessionId,
+    isAadhaarLocked,
+    createSession,
+    claimAttempt,
+    recordResult,
+    releaseAttempt,
+    bindVerification,
+    markMemberVerified
+} = require('../services/verificationService');
 
 // Rate limiting for verification endpoint
 const verifyLimiter = rateLimit({
@@ -13,6 +26,12 @@ const verifyLimiter = rateLimit({
     message: 'Too many verification requests, please try again later.'
 });
 
+// Offline e-KYC ZIPs are kept in memory only, never stored
+const offlineUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024 }
+});
+
 // Validation middleware
 const verificationValidation = [
     body('aadhaar').trim().notEmpty().withMessage('Aadhaar number is required'),
@@ -31,7 +50,8 @@ router.post('/aadhaar', verifyLimiter, verificationValidation, async (req, res)
             });
         }
 
-        const { aadhaar, mobile } = req.body;
+        const { mobile } = req.body;
+        const aadhaar = String(req.body.aadhaar).replace(/\s/g, '');
 
         // Client-side validation check
         const aadhaarValidation = validateAadhaar(aadhaar);
@@ -53,48 +73,55 @@ router.post('/aadhaar', verifyLimiter, verificationValidation, async (req, res)
         // Log verification attempt (DO NOT log raw Aadhaar)
         console.log(`Aadhaar verification attempt - Mobile: ${mobile.slice(-4)}, IP: ${req.ip}`);
 
-        // Check verification provider type
-        const provider = process.env.AADHAAR_PROVIDER || 'mock';
-
-        let verificationResult;
-
-        switch (provider) {
-            case 'mock':
-                // Mock verification for development
-                verificationResult = await mockAadhaarVerification(aadhaar, mobile);
-                break;
+        if (await isAadhaarLocked(aadhaar)) {
+            return res.status(429).json({
+                success: false,
+                message: 'Too many failed verifications for this Aadhaar, please try again later'
+            });
+        }
 
-            case 'karza':
-                // Karza API integration
-                verificationResult = await karzaVerification(aadhaar, mobile);
-                break;
+        const provider = getProvider();
+        if (!provider) {
+            return res.status(500).json({
+                success: false,
+                message: 'Invalid verification provider configured'
+            });
+        }
 
-            case 'signzy':
-                // Signzy API integration
-                verificationResult = await signzyVerification(aadhaar, mobile);
-                break;
+        const sessionId = newSessionId();
+        const verificationResult = await provider.sendOtp({ aadhaar, mobile, sessionId });
 
-            default:
-                verificationResult = {
-                    success: false,
-                    message: 'Invalid verification provider configured'
-                };
+        if (!verificationResult.success) {
+            return res.status(verificationResult.httpStatus || 400).json({
+                success: false,
+                message: verificationResult.message
+            });
         }
 
+        await createSession({
+            sessionId,
+            aadhaar,
+            mobile,
+            provider: provider.name,
+            providerReference: verificationResult.providerReference,
+            otpHash: verificationResult.otpHash,
+            ip: req.ip
+        });
+
         // Return verification result
         res.json({
-            success: verificationResult.success,
+            success: true,
             message: verificationResult.message,
             data: {
-                verification_id: verificationResult.verification_id,
-                status: verificationResult.status,
+                verification_id: sessionId,
+                status: 'otp_sent',
                 timestamp: new Date().toISOString()
             }
         });
 
     } catch (error) {
         console.error('Aadhaar verification error:', error);
-        res.status(500).json({
+        res.status(error instanceof ProviderError ? 503 : 500).json({
             success: false,
             message: 'Verification service temporarily unavailable'
         });
@@ -121,108 +148,191 @@ router.post('/otp', verifyLimiter, async (req, res) => {
             });
         }
 
-        const provider = process.env.AADHAAR_PROVIDER || 'mock';
+        const attempt = await claimAttempt(String(verification_id));
+        if (!attempt.success) {
+            return res.status(attempt.status).json({
+                success: false,
+                message: attempt.message
+            });
+        }
 
-        let otpResult;
+        const session = attempt.session;
 
-        switch (provider) {
-            case 'mock':
-                otpResult = await mockOTPVerification(verification_id, otp);
-                break;
+        // The session remembers which provider sent its OTP
+        const provider = getProvider(session.provider);
+        if (!provider) {
+            return res.status(500).json({
+                success: false,
+                message: 'Invalid verification provider'
+            });
+        }
 
-            case 'karza':
-                otpResult = await karzaOTPVerification(verification_id, otp);
-                break;
+        let otpResult;
+        try {
+            otpResult = await provider.verifyOtp({ session, otp });
+        } catch (error) {
+            // The provider never answered, so the attempt doesn't count
+            await releaseAttempt(session);
+            throw error;
+        }
 
-            case 'signzy':
-                otpResult = await signzyOTPVerification(verification_id, otp);
-                break;
+        await recordResult(session, otpResult);
 
-            default:
-                otpResult = {
-                    success: false,
-                    message: 'Invalid verification provider'
-                };
+        if (!otpResult.success) {
+            const remaining = session.max_attempts - session.attempts;
+            return res.status(401).json({
+                success: false,
+                message: remaining > 0
+                    ? `${otpResult.message}. ${remaining} attempt(s) left`
+                    : 'Too many incorrect attempts, request a new OTP'
+            });
         }
 
         res.json({
-            success: otpResult.success,
+            success: true,
             message: otpResult.message,
-            data: otpResult.data
+            data: {
+                ...otpResult.data,
+                verification_id: session.session_id
+            }
         });
 
     } catch (error) {
         console.error('OTP verification error:', error);
+        const unavailable = error instanceof ProviderError;
+        res.status(unavailable ? 503 : 500).json({
+            success: false,
+            message: unavailable ? 'Verification service temporarily unavailable' : 'OTP verification failed'
+        });
+    }
+});
+
+// POST /api/verification/bind - Mark a member verified (leader token required)
+router.post('/bind', authenticateLeader, async (req, res) => {
+    try {
+        const { verification_id, member_id } = req.body;
+
+        if (!verification_id || !/^[0-9a-fA-F]{24}$/.test(String(member_id || ''))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Verification ID and a valid member ID are required'
+            });
+        }
+
+        const result = await bindVerification(verification_id, req.team, member_id);
+        if (!result.success) {
+            return res.status(result.status).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        console.log(`🪪 Aadhaar verified for member ${result.member_id} of ${req.team.reference_number}`);
+        res.json({
+            success: true,
+            message: 'Member marked as Aadhaar verified',
+            data: { member_id: result.member_id, aadhaar_verified: true }
+        });
+
+    } catch (error) {
+        console.error('Verification bind error:', error);
         res.status(500).json({
             success: false,
-            message: 'OTP verification failed'
+            message: 'Could not record verification'
         });
     }
 });
 
-// Mock Aadhaar verification (for development)
-async function mockAadhaarVerification(aadhaar, mobile) {
-    // Simulate API delay
-    await new Promise(resolve => setTimeout(resolve, 1000));
-
-    // Mock success response
-    return {
-        success: true,
-        message: 'OTP sent successfully (Mock)',
-        verification_id: 'MOCK_' + Date.now(),
-        status: 'otp_sent'
-    };
-}
-
-// Mock OTP verification
-async function mockOTPVerification(verificationId, otp) {
-    await new Promise(resolve => setTimeout(resolve, 1000));
-
-    // Accept any 6-digit OTP in mock mode
-    if (otp === '123456' || otp.length === 6) {
-        return {
+/**
+ * Build a handler that verifies UIDAI-signed data and, when it matches the
+ * member record, marks the member verified (leader token required)
+ */
+const offlineVerificationHandler = (method, verify) => async (req, res) => {
+    try {
+        const { member_id } = req.body;
+        const member = /^[0-9a-fA-F]{24}$/.test(String(member_id || '')) && req.team.members.id(member_id);
+        if (!member) {
+            return res.status(404).json({
+                success: false,
+                message: 'Member not found'
+            });
+        }
+
+        const result = verify(req);
+        if (!result.success) {
+            return res.status(result.status).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        const check = crossCheck(result.data, {
+            name: member.name,
+            dob: member.dob,
+            gender: member.gender,
+            aadhaar: member.id_number_encrypted ? decrypt(member.id_number_encrypted) : ''
+        });
+        if (!check.matches) {
+            return res.status(422).json({
+                success: false,
+                message: `Aadhaar details do not match the member: ${check.mismatches.join(', ')}`,
+                mismatches: check.mismatches
+            });
+        }
+
+        const marked = await markMemberVerified(req.team, member, {
+            status: 'verified',
+            method,
+            provider_response: 'uidai_offline',
+            timestamp: new Date(),
+            verification_id: check.evidence.reference_id,
+            evidence: check.evidence
+        });
+        if (!marked.success) {
+            return res.status(marked.status).json({
+                success: false,
+                message: marked.message
+            });
+        }
+
+        console.log(`🪪 Aadhaar verified offline (${method}) for member ${marked.member_id} of ${req.team.reference_number}`);
+        res.json({
             success: true,
-            message: 'Aadhaar verified successfully (Mock)',
-            data: {
-                verified: true,
-                name: 'Mock User',
-                verification_timestamp: new Date().toISOString()
-            }
-        };
+            message: 'Member marked as Aadhaar verified',
+            data: { member_id: marked.member_id, aadhaar_verified: true, method }
+        });
+
+    } catch (error) {
+        console.error('Offline verification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Offline verification failed'
+        });
     }
+};
 
-    return {
-        success: false,
-        message: 'Invalid OTP'
-    };
-}
-
-// Karza API Integration (placeholder)
-async function karzaVerification(aadhaar, mobile) {
-    // TODO: Implement Karza API integration
-    // const response = await fetch(process.env.AADHAAR_API_URL, {
-    //     method: 'POST',
-    //     headers: {
-    //         'x-api-key': process.env.AADHAAR_API_KEY,
-    //         'Content-Type': 'application/json'
-    //     },
-    //     body: JSON.stringify({ aadhaar, mobile })
-    // });
-
-    throw new Error('Karza integration not implemented. Set AADHAAR_PROVIDER=mock for development.');
-}
-
-async function karzaOTPVerification(verificationId, otp) {
-    throw new Error('Karza OTP verification not implemented');
-}
-
-// Signzy API Integration (placeholder)
-async function signzyVerification(aadhaar, mobile) {
-    throw new Error('Signzy integration not implemented. Set AADHAAR_PROVIDER=mock for development.');
-}
-
-async function signzyOTPVerification(verificationId, otp) {
-    throw new Error('Signzy OTP verification not implemented');
-}
+// POST /api/verification/offline/xml - UIDAI offline e-KYC ZIP (file) + share_code
+router.post('/offline/xml', verifyLimiter, authenticateLeader, offlineUpload.single('file'), offlineVerificationHandler('offline_xml', (req) => {
+    if (!req.file || !req.body.share_code) {
+        return { success: false, status: 400, message: 'Offline e-KYC ZIP file and share code are required' };
+    }
+    return verifyOfflineZip(req.file.buffer, req.body.share_code);
+}));
+
+// POST /api/verification/offline/qr - Decimal data read from the Aadhaar Secure QR
+router.post('/offline/qr', verifyLimiter, authenticateLeader, offlineVerificationHandler('secure_qr', (req) => {
+    return verifySecureQr(req.body.qr_data);
+}));
+
+// Upload errors (e.g. file too large)
+router.use((error, req, res, next) => {
+    if (error instanceof multer.MulterError) {
+        return res.status(400).json({
+            success: false,
+            message: error.code === 'LIMIT_FILE_SIZE' ? 'File size cannot exceed 5MB' : error.message
+        });
+    }
+    next(error);
+});
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,123 @@
+/**
+ * Local stand-in for the Karza and Signzy Aadhaar OKYC APIs, for testing the
+ * provider adapters offline. Both providers' endpoints are served at once.
+ *
+ * Every OTP request succeeds (Aadhaar numbers ending in 0000 have no linked
+ * mobile) and the OTP is always --otp (default 123456).
+ *   --key=<key>     reject requests without this API key
+ *   --delay=<ms>    answer every request after a delay (test timeouts)
+ *   --flaky=<n>     answer the first n requests with 503 (test retries)
+ *
+ * Usage: node scripts/aadhaar-provider-stub.js [--port=4010] [--otp=123456]
+ * Then:  AADHAAR_PROVIDER=karza AADHAAR_API_URL=http://localhost:4010 npm start
+ */
+const http = require('http');
+const crypto = require('crypto');
+
+const arg = (name) => {
+    const found = process.argv.find(a => a.startsWith(`--${name}=`));
+    return found ? found.split('=').slice(1).join('=') : undefined;
+};
+
+const PORT = Number(arg('port')) || 4010;
+const OTP = arg('otp') || '123456';
+const API_KEY = arg('key');
+const DELAY_MS = Number(arg('delay')) || 0;
+let flaky = Number(arg('flaky')) || 0;
+
+// requestId -> { aadhaar, used }
+const requests = new Map();
+
+const SAMPLE_PERSON = { name: 'Stub Pilgrim', dob: '01-01-1980', gender: 'M' };
+
+function startOtp(aadhaar) {
+    if (!/^\d{12}$/.test(String(aadhaar || ''))) return { error: 'invalid' };
+    if (String(aadhaar).endsWith('0000')) return { error: 'no_mobile' };
+
+    const requestId = crypto.randomUUID();
+    requests.set(requestId, { aadhaar: String(aadhaar), used: false });
+    return { requestId };
+}
+
+function checkOtp(requestId, otp) {
+    const request = requests.get(requestId);
+    if (!request || request.used) return { error: 'expired' };
+    if (otp !== OTP) return { error: 'invalid_otp' };
+
+    request.used = true;
+    return { person: { ...SAMPLE_PERSON, maskedAadhaarNumber: `XXXXXXXX${request.aadhaar.slice(-4)}` } };
+}
+
+// ============================================
+// ROUTES
+// ============================================
+const routes = {
+    // Karza: statusCode 101 = success
+    '/v3/aadhaar-xml/otp': (body) => {
+        const { requestId, error } = startOtp(body.aadhaarNo);
+        if (error === 'invalid') return { statusCode: 102, requestId: null };
+        if (error === 'no_mobile') return { statusCode: 103, requestId: null };
+        return { statusCode: 101, requestId, result: { message: 'OTP sent to registered mobile number' } };
+    },
+    '/v3/aadhaar-xml/file': (body) => {
+        const { person, error } = checkOtp(body.requestId, body.otp);
+        if (error === 'expired') return { statusCode: 106, requestId: body.requestId };
+        if (error) return { statusCode: 105, requestId: body.requestId };
+        return { statusCode: 101, requestId: body.requestId, result: { dataFromAadhaar: person } };
+    },
+
+    // Signzy
+    '/api/v3/getOkycOtp': (body) => {
+        const { requestId, error } = startOtp(body.aadhaarNumber);
+        if (error) return { error: { message: error === 'invalid' ? 'Invalid Aadhaar number' : 'Mobile not linked to Aadhaar' } };
+        return { result: { requestId, otpSentStatus: true, isValidAadhaar: true } };
+    },
+    '/api/v3/fetchOkycData': (body) => {
+        const { person, error } = checkOtp(body.requestId, body.otp);
+        if (error) return { error: { message: error === 'expired' ? 'OTP expired' : 'Invalid OTP' } };
+        return { result: person };
+    }
+};
+
+function send(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+        setTimeout(() => {
+            const handler = req.method === 'POST' && routes[req.url];
+            console.log(`🧪 ${req.method} ${req.url}`);
+
+            if (!handler) return send(res, 404, { error: { message: 'Not found' } });
+
+            if (flaky > 0) {
+                flaky--;
+                return send(res, 503, { error: { message: 'Service unavailable (flaky stub)' } });
+            }
+
+            const key = req.headers['x-karza-key'] || req.headers.authorization;
+            if (API_KEY && key !== API_KEY) {
+                return send(res, 401, { error: { message: 'Invalid API key' } });
+            }
+
+            let body;
+            try {
+                body = JSON.parse(raw || '{}');
+            } catch (error) {
+                return send(res, 400, { error: { message: 'Invalid JSON' } });
+            }
+
+            send(res, 200, handler(body));
+        }, DELAY_MS);
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`🧪 Aadhaar provider stub listening on port ${PORT} (OTP ${OTP})`);
+});
+
+module.exports = server;
@@ -0,0 +1,120 @@
+/**
+ * Backfill the Aadhaar blind index (members.id_number_index) on teams
+ * registered before it existed, then build the unique_active_aadhaar index.
+ *
+ * Run this BEFORE deploying the unique_active_aadhaar index (the app builds
+ * missing indexes on start-up, which fails or leaves null keys otherwise):
+ *   1. Teams without a deleted_at field get deleted_at: null, so they fall
+ *      inside the index's partial filter.
+ *   2. Every member gets a string index. The index is multikey, so a member
+ *      without one would be indexed as null and collide with every other
+ *      such member. Members with no recoverable Aadhaar, or whose pilgrim is
+ *      already in another active team, get a per-member placeholder
+ *      (unindexed:<member id>) and are reported so an admin can resolve them.
+ *   3. The index is built last.
+ *
+ * Usage: node scripts/backfill-aadhaar-index.js
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Team = require('../models/Team');
+const { decrypt, blindIndex } = require('../utils/encryption');
+
+const placeholderIndex = (member) => `unindexed:${member._id}`;
+
+/**
+ * Recover the plain Aadhaar of a stored member
+ */
+function memberAadhaar(member) {
+    if (member.id_number_encrypted) {
+        try {
+            return decrypt(member.id_number_encrypted);
+        } catch (error) {
+            // Fall through to legacy plaintext copies
+        }
+    }
+    return member.get('id_number') || member.get('id_number_full') || '';
+}
+
+async function backfill() {
+    // Indexes are built at the end, once every member has a key
+    await mongoose.connect(process.env.MONGODB_URI, { autoIndex: false });
+
+    const undeleted = await Team.updateMany(
+        { deleted_at: { $exists: false } },
+        { $set: { deleted_at: null } }
+    );
+    console.log(`✅ deleted_at set on ${undeleted.modifiedCount} teams`);
+
+    const cursor = Team.find({ members: { $elemMatch: { id_number_index: { $exists: false } } } }).cursor();
+    let updated = 0;
+    const conflicts = [];
+    const unrecoverable = [];
+
+    for await (const team of cursor) {
+        const fresh = team.members.filter(member => !member.id_number_index);
+        fresh.forEach(member => {
+            member.id_number_index = blindIndex(memberAadhaar(member)) || placeholderIndex(member);
+        });
+
+        // Same pilgrim twice in this team, or already in another active team
+        const positions = new Map();
+        const clashes = [];
+        team.members.forEach((member, i) => {
+            if (!fresh.includes(member)) positions.set(member.id_number_index, i);
+        });
+        fresh.forEach(member => {
+            const i = team.members.indexOf(member);
+            if (positions.has(member.id_number_index)) clashes.push({ position: i + 1, name: member.name });
+            else positions.set(member.id_number_index, i);
+        });
+        const taken = team.deleted_at ? [] : await Team.findAadhaarConflicts(team.members, team._id);
+        taken.forEach(c => {
+            if (!clashes.some(d => d.position === c.position)) clashes.push(c);
+        });
+
+        clashes.forEach(({ position }) => {
+            const member = team.members[position - 1];
+            if (fresh.includes(member)) member.id_number_index = placeholderIndex(member);
+        });
+        if (clashes.length > 0) {
+            conflicts.push({ team: team.team_name, id: String(team._id), members: clashes });
+        }
+
+        const missing = fresh.filter(member => member.id_number_index === placeholderIndex(member) &&
+            !clashes.some(c => team.members[c.position - 1] === member));
+        if (missing.length > 0) {
+            unrecoverable.push({
+                team: team.team_name,
+                id: String(team._id),
+                members: missing.map(member => ({ position: team.members.indexOf(member) + 1 }))
+            });
+        }
+
+        await team.save({ validateBeforeSave: false });
+        updated++;
+    }
+
+    console.log(`✅ Blind index added to ${updated} teams`);
+    const report = (list, label) => {
+        if (list.length === 0) return;
+        console.log(`⚠️ ${list.length} teams ${label}:`);
+        list.forEach(c => {
+            const positions = c.members.map(m => m.position).join(', ');
+            console.log(`   • ${c.team} (${c.id}) - member positions ${positions}`);
+        });
+    };
+    report(conflicts, 'share pilgrims with another active team or repeat one');
+    report(unrecoverable, 'have members without a recoverable Aadhaar');
+
+    await Team.syncIndexes();
+    console.log('✅ unique_active_aadhaar index built');
+
+    await mongoose.connection.close();
+}
+
+backfill().catch(async (error) => {
+    console.error('❌ Backfill failed:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+});
@@ -0,0 +1,217 @@
+/**
+ * Build the bundled pincode directory (data/pincodes.json.gz) and pincode
+ * centroids (data/pincode-centroids.json.gz) from the India Post
+ * "All India Pincode Directory" CSV published on data.gov.in
+ * (Open Government Data Licence - India).
+ *
+ * Expected columns: circlename, regionname, divisionname, officename, pincode,
+ * officetype, delivery, district, statename, latitude, longitude
+ *
+ * Usage: node scripts/build-pincode-data.js <directory.csv>
+ */
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const OUTPUT = path.join(__dirname, '..', 'data', 'pincodes.json.gz');
+const CENTROIDS_OUTPUT = path.join(__dirname, '..', 'data', 'pincode-centroids.json.gz');
+
+// Post office coordinates are self-reported and sometimes swapped or zero;
+// anything outside India's bounding box is ignored
+const INDIA_BOUNDS = { minLat: 6, maxLat: 37.5, minLng: 68, maxLng: 97.5 };
+
+// Offices further than this (in degrees) from a pincode's median are outliers
+const OUTLIER_DEGREES = 0.5;
+
+/**
+ * Split one CSV line, honouring double-quoted fields
+ */
+function parseCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+    return fields;
+}
+
+/**
+ * "KUMURAM BHEEM ASIFABAD" → "Kumuram Bheem Asifabad"; mixed-case names are kept
+ */
+function titleCase(value) {
+    const text = value.replace(/\s+/g, ' ').trim();
+    if (text !== text.toUpperCase()) return text;
+    return text.toLowerCase()
+        .replace(/(^|[\s(.-])([a-z])/g, (match, before, letter) => before + letter.toUpperCase())
+        .replace(/\bAnd\b/g, 'and');
+}
+
+// "Kothimir B.O" → "Kothimir"; the type is stored separately
+const officeName = (value) => value.replace(/\s+/g, ' ').replace(/\s*\b[BSHG]\.?\s?O\.?$/i, '').trim();
+
+const round = (value) => Math.round(value * 10000) / 10000;
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Parse a coordinate pair, or null when missing or outside India
+ */
+function parsePoint(latValue, lngValue) {
+    const lat = parseFloat(latValue);
+    const lng = parseFloat(lngValue);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+    if (lat < INDIA_BOUNDS.minLat || lat > INDIA_BOUNDS.maxLat) return null;
+    if (lng < INDIA_BOUNDS.minLng || lng > INDIA_BOUNDS.maxLng) return null;
+    return [lat, lng];
+}
+
+/**
+ * Centre of a pincode's post offices: the mean of the offices near the median
+ */
+function centroid(points) {
+    const middle = [median(points.map(p => p[0])), median(points.map(p => p[1]))];
+    const near = points.filter(p =>
+        Math.abs(p[0] - middle[0]) <= OUTLIER_DEGREES && Math.abs(p[1] - middle[1]) <= OUTLIER_DEGREES);
+    const used = near.length > 0 ? near : [middle];
+    return [round(mean(used.map(p => p[0]))), round(mean(used.map(p => p[1])))];
+}
+
+/**
+ * pincode → [lat, lng], or [lat, lng, 1] when no office had usable
+ * coordinates and the centre of its district is used instead
+ */
+function buildCentroids(points, pincodeDistricts) {
+    const centroids = {};
+    const districtPoints = new Map();
+
+    for (const [pincode, list] of points) {
+        if (list.length === 0) continue;
+        centroids[pincode] = centroid(list);
+        const district = pincodeDistricts.get(pincode);
+        if (!districtPoints.has(district)) districtPoints.set(district, []);
+        districtPoints.get(district).push(centroids[pincode]);
+    }
+
+    for (const [pincode, district] of pincodeDistricts) {
+        if (centroids[pincode] || !districtPoints.has(district)) continue;
+        const list = districtPoints.get(district);
+        centroids[pincode] = [round(mean(list.map(p => p[0]))), round(mean(list.map(p => p[1]))), 1];
+    }
+    return centroids;
+}
+
+function build(csvPath) {
+    const lines = fs.readFileSync(csvPath, 'utf8').split(/\r?\n/).filter(Boolean);
+    const header = parseCsvLine(lines.shift()).map(h => h.trim().toLowerCase());
+    const col = (name) => {
+        const index = header.indexOf(name);
+        if (index === -1) throw new Error(`Column ${name} not found`);
+        return index;
+    };
+    const columns = {
+        office: col('officename'),
+        pincode: col('pincode'),
+        type: col('officetype'),
+        delivery: col('delivery'),
+        district: col('district'),
+        state: col('statename'),
+        latitude: col('latitude'),
+        longitude: col('longitude')
+    };
+
+    const states = [];
+    const districts = [];
+    const lookup = (list, value) => {
+        let index = list.indexOf(value);
+        if (index === -1) index = list.push(value) - 1;
+        return index;
+    };
+
+    // pincode → [[state, district, office, type, delivery], ...]
+    const pincodes = {};
+    let offices = 0;
+
+    // For centroids: pincode → usable office coordinates, and its main district
+    const points = new Map();
+    const pincodeDistricts = new Map();
+
+    for (const line of lines) {
+        const row = parseCsvLine(line);
+        const pincode = String(row[columns.pincode] || '').trim();
+        if (!/^\d{6}$/.test(pincode)) continue;
+
+        const rawState = String(row[columns.state] || '').trim();
+        if (!rawState || rawState.toUpperCase() === 'NA') continue;
+
+        const state = titleCase(rawState);
+        const district = titleCase(row[columns.district] || '');
+
+        (pincodes[pincode] = pincodes[pincode] || []).push([
+            lookup(states, state),
+            lookup(districts, district),
+            officeName(row[columns.office] || ''),
+            String(row[columns.type] || '').trim(),
+            /^delivery$/i.test(String(row[columns.delivery] || '').trim()) || row[columns.delivery] === '1' ? 1 : 0
+        ]);
+        offices++;
+
+        if (!points.has(pincode)) {
+            points.set(pincode, []);
+            pincodeDistricts.set(pincode, `${state}|${district}`);
+        }
+        const point = parsePoint(row[columns.latitude], row[columns.longitude]);
+        if (point) points.get(pincode).push(point);
+    }
+
+    const data = {
+        source: 'India Post - All India Pincode Directory (data.gov.in, OGDL-India)',
+        generated_at: new Date().toISOString(),
+        states,
+        districts,
+        pincodes
+    };
+
+    fs.mkdirSync(path.dirname(OUTPUT), { recursive: true });
+    fs.writeFileSync(OUTPUT, zlib.gzipSync(JSON.stringify(data), { level: 9 }));
+    console.log(`📮 ${Object.keys(pincodes).length} pincodes, ${offices} post offices → ${OUTPUT}`);
+
+    const centroids = buildCentroids(points, pincodeDistricts);
+    const estimated = Object.values(centroids).filter(c => c[2]).length;
+    fs.writeFileSync(CENTROIDS_OUTPUT, zlib.gzipSync(JSON.stringify({
+        source: data.source,
+        generated_at: data.generated_at,
+        centroids
+    }), { level: 9 }));
+    console.log(`📍 ${Object.keys(centroids).length} pincode centroids (${estimated} from district centres) → ${CENTROIDS_OUTPUT}`);
+}
+
+if (!process.argv[2]) {
+    console.error('Usage: node scripts/build-pincode-data.js <directory.csv>');
+    process.exit(1);
+}
+build(process.argv[2]);
@@ -0,0 +1,45 @@
+/**
+ * Create (or reset) an admin account from the command line.
+ * Used to bootstrap the first superadmin.
+ *
+ * Usage: node scripts/create-admin.js <username> <password> [role]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Admin = require('../models/Admin');
+
+async function createAdmin() {
+    const [username, password, role = 'superadmin'] = process.argv.slice(2);
+
+    if (!username || !password) {
+        console.error('Usage: node scripts/create-admin.js <username> <password> [role]');
+        process.exit(1);
+    }
+
+    if (!Admin.ROLES.includes(role)) {
+        console.error(`❌ Invalid role "${role}". Options: ${Admin.ROLES.join(', ')}`);
+        process.exit(1);
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    let admin = await Admin.findOne({ username: username.toLowerCase() });
+    if (!admin) {
+        admin = new Admin({ username });
+    }
+
+    admin.role = role;
+    admin.is_active = true;
+    admin.refresh_tokens = [];
+    await admin.setPassword(password);
+    await admin.save();
+
+    console.log(`✅ Admin "${admin.username}" saved with role ${admin.role}`);
+    await mongoose.connection.close();
+}
+
+createAdmin().catch(async (error) => {
+    console.error('❌ Failed to create admin:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+});
@@ -0,0 +1,50 @@
+/**
+ * Download the UIDAI public certificates that sign offline e-KYC XML and
+ * Secure QR codes into certs/uidai (or UIDAI_CERT_DIR), checking each one
+ * parses as an X.509 certificate before it is saved.
+ *
+ * Usage: node scripts/fetch-uidai-certs.js [certificate URL ...]
+ * With no URLs, the current offline e-KYC certificate is fetched.
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CERT_DIR = process.env.UIDAI_CERT_DIR || path.join(__dirname, '..', 'certs', 'uidai');
+
+const DEFAULT_URLS = [
+    'https://uidai.gov.in/images/authDoc/uidai_offline_publickey_26022021.cer'
+];
+
+async function fetchCertificate(url) {
+    const response = await fetch(url, { signal: AbortSignal.timeout(30000) });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+
+    const data = Buffer.from(await response.arrayBuffer());
+    const cert = new crypto.X509Certificate(data);
+    const file = path.join(CERT_DIR, path.basename(new URL(url).pathname));
+
+    fs.mkdirSync(CERT_DIR, { recursive: true });
+    fs.writeFileSync(file, cert.toString());
+    console.log(`✅ ${path.basename(file)}: ${cert.subject.replace(/\n/g, ', ')} (valid ${cert.validFrom} → ${cert.validTo})`);
+}
+
+async function main() {
+    const urls = process.argv.slice(2).length > 0 ? process.argv.slice(2) : DEFAULT_URLS;
+    let failed = 0;
+
+    for (const url of urls) {
+        try {
+            await fetchCertificate(url);
+        } catch (error) {
+            console.error(`❌ ${url}:`, error.message);
+            failed++;
+        }
+    }
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
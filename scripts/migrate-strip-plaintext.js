@@ -0,0 +1,62 @@
+/**
+ * Re-encrypt and strip plaintext Aadhaar / mobile numbers from teams
+ * stored before the data protection layer existed.
+ * Each team is re-saved; the Team model's pre-save hook encrypts any
+ * plaintext it finds (id_number, id_number_full, mobile, mobile_full),
+ * refreshes the masked values and blind index, and removes the plaintext.
+ *
+ * Usage: node scripts/migrate-strip-plaintext.js [--dry-run]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Team = require('../models/Team');
+
+const PLAINTEXT_QUERY = {
+    $or: [
+        { 'members.id_number': { $exists: true } },
+        { 'members.id_number_full': { $exists: true } },
+        { 'members.mobile': { $exists: true } },
+        { 'members.mobile_full': { $exists: true } }
+    ]
+};
+
+async function migrate() {
+    const dryRun = process.argv.includes('--dry-run');
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const total = await Team.countDocuments(PLAINTEXT_QUERY);
+    console.log(`🔍 ${total} teams hold plaintext Aadhaar or mobile numbers`);
+
+    if (dryRun || total === 0) {
+        await mongoose.connection.close();
+        return;
+    }
+
+    let migrated = 0;
+    const failed = [];
+
+    for await (const team of Team.find(PLAINTEXT_QUERY).cursor()) {
+        try {
+            await team.save({ validateBeforeSave: false });
+            migrated++;
+        } catch (error) {
+            failed.push({ team: team.team_name, id: String(team._id), error: error.message });
+        }
+
+        if ((migrated + failed.length) % 100 === 0) {
+            console.log(`   … ${migrated + failed.length}/${total}`);
+        }
+    }
+
+    const remaining = await Team.countDocuments(PLAINTEXT_QUERY);
+    console.log(`✅ Migrated ${migrated} teams, ${remaining} still hold plaintext`);
+    failed.forEach(f => console.log(`   ❌ ${f.team} (${f.id}): ${f.error}`));
+
+    await mongoose.connection.close();
+}
+
+migrate().catch(async (error) => {
+    console.error('❌ Migration failed:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+});
@@ -0,0 +1,86 @@
+/**
+ * Re-encrypt every team member's Aadhaar and mobile with the current key
+ * (ENCRYPTION_KEY_ID). Safe to run while the server is live and to re-run:
+ * values already on the current key are skipped, and teams edited
+ * concurrently are left for the next run.
+ *
+ * Usage: node scripts/rotate-encryption-key.js [--dry-run] [--batch-size=200]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Team = require('../models/Team');
+const { reencrypt, needsReencryption, currentKeyId } = require('../utils/encryption');
+
+const ENCRYPTED_FIELDS = ['id_number_encrypted', 'mobile_encrypted'];
+
+function staleQuery() {
+    const notCurrent = { $nin: [null, ''], $not: new RegExp(`^v2:${currentKeyId}:`) };
+    return {
+        $or: ENCRYPTED_FIELDS.map(field => ({ members: { $elemMatch: { [field]: notCurrent } } }))
+    };
+}
+
+async function rotate() {
+    const dryRun = process.argv.includes('--dry-run');
+    const batchArg = process.argv.find(a => a.startsWith('--batch-size='));
+    const batchSize = batchArg ? Number(batchArg.split('=')[1]) || 200 : 200;
+
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const query = staleQuery();
+    const total = await Team.countDocuments(query);
+    console.log(`🔑 Current key: ${currentKeyId}`);
+    console.log(`🔍 ${total} teams hold values encrypted with an older key`);
+
+    if (dryRun || total === 0) {
+        await mongoose.connection.close();
+        return;
+    }
+
+    const started = Date.now();
+    let processed = 0;
+    let values = 0;
+    let retry = 0;
+    const failed = [];
+
+    for await (const team of Team.find(query).batchSize(batchSize).cursor()) {
+        try {
+            team.members.forEach(member => {
+                ENCRYPTED_FIELDS.forEach(field => {
+                    if (needsReencryption(member[field])) {
+                        member[field] = reencrypt(member[field]);
+                        values++;
+                    }
+                });
+            });
+            await team.save({ validateBeforeSave: false });
+        } catch (error) {
+            if (error.name === 'VersionError') {
+                retry++;
+            } else {
+                failed.push({ team: team.team_name, id: String(team._id), error: error.message });
+            }
+        }
+
+        processed++;
+        if (processed % batchSize === 0 || processed === total) {
+            const percent = Math.round((processed / total) * 100);
+            const seconds = Math.round((Date.now() - started) / 1000);
+            console.log(`   … ${processed}/${total} teams (${percent}%), ${values} values, ${seconds}s`);
+        }
+    }
+
+    const remaining = await Team.countDocuments(query);
+    console.log(`✅ Re-encrypted ${values} values across ${processed - retry - failed.length} teams`);
+    if (retry > 0) console.log(`⚠️ ${retry} teams changed during the run - re-run to finish them`);
+    failed.forEach(f => console.log(`   ❌ ${f.team} (${f.id}): ${f.error}`));
+    console.log(`📊 ${remaining} teams still on an older key`);
+
+    await mongoose.connection.close();
+}
+
+rotate().catch(async (error) => {
+    console.error('❌ Key rotation failed:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+});
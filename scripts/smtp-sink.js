@@ -0,0 +1,115 @@
+/**
+ * Minimal local SMTP stand-in for testing email notifications offline.
+ * Accepts every message and prints its envelope and headers; nothing is relayed.
+ * With --out=<dir> each message is also saved there as a .eml file.
+ *
+ * Usage: node scripts/smtp-sink.js [--port=2525] [--out=./mail-sink]
+ * Then:  SMTP_HOST=localhost SMTP_PORT=2525 SMTP_IGNORE_TLS=true npm start
+ */
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+
+const arg = (name) => {
+    const found = process.argv.find(a => a.startsWith(`--${name}=`));
+    return found ? found.split('=').slice(1).join('=') : undefined;
+};
+
+const PORT = Number(arg('port')) || 2525;
+const OUT_DIR = arg('out');
+
+if (OUT_DIR) fs.mkdirSync(OUT_DIR, { recursive: true });
+
+let received = 0;
+
+function handleMessage(envelope, data) {
+    received++;
+    const subject = (data.match(/^Subject: (.*)$/mi) || [])[1] || '(no subject)';
+
+    console.log(`📨 #${received} from <${envelope.from}> to ${envelope.to.map(t => `<${t}>`).join(', ')}`);
+    console.log(`   Subject: ${subject}`);
+
+    if (OUT_DIR) {
+        const file = path.join(OUT_DIR, `${Date.now()}-${received}.eml`);
+        fs.writeFileSync(file, data);
+        console.log(`   Saved: ${file}`);
+    }
+}
+
+const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    let data = [];
+    let envelope = { from: '', to: [] };
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+    reply('220 localhost TTD SMTP sink ready');
+
+    socket.on('data', (chunk) => {
+        buffer += chunk.toString('utf8');
+
+        let index;
+        while ((index = buffer.indexOf('\r\n')) !== -1) {
+            const line = buffer.slice(0, index);
+            buffer = buffer.slice(index + 2);
+
+            if (inData) {
+                if (line === '.') {
+                    inData = false;
+                    handleMessage(envelope, data.join('\r\n'));
+                    envelope = { from: '', to: [] };
+                    data = [];
+                    reply('250 OK: message accepted');
+                } else {
+                    // Undo dot-stuffing
+                    data.push(line.startsWith('..') ? line.slice(1) : line);
+                }
+                continue;
+            }
+
+            const command = line.slice(0, 4).toUpperCase();
+            switch (command) {
+                case 'EHLO':
+                    reply('250-localhost');
+                    reply('250 8BITMIME');
+                    break;
+                case 'HELO':
+                    reply('250 localhost');
+                    break;
+                case 'MAIL':
+                    envelope.from = (line.match(/<([^>]*)>/) || [])[1] || '';
+                    reply('250 OK');
+                    break;
+                case 'RCPT':
+                    envelope.to.push((line.match(/<([^>]*)>/) || [])[1] || '');
+                    reply('250 OK');
+                    break;
+                case 'DATA':
+                    inData = true;
+                    reply('354 End data with <CR><LF>.<CR><LF>');
+                    break;
+                case 'RSET':
+                    envelope = { from: '', to: [] };
+                    reply('250 OK');
+                    break;
+                case 'NOOP':
+                    reply('250 OK');
+                    break;
+                case 'QUIT':
+                    reply('221 Bye');
+                    socket.end();
+                    break;
+                default:
+                    reply('502 Command not implemented');
+            }
+        }
+    });
+
+    socket.on('error', () => {});
+});
+
+server.listen(PORT, () => {
+    console.log(`📬 SMTP sink listening on port ${PORT}`);
+});
+
+module.exports = server;
@@ -3,6 +3,25 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const path = require('path');
+const { schedulePurge } = require('./services/purgeService');
+const { scheduleCatalogueRefresh } = require('./services/templeService');
+const { scheduleRulesRefresh } = require('./services/settingsService');
+const { startWorker: startNotificationWorker } = require('./services/notificationQueue');
+const { validateKeyring } = require('./utils/encryption');
+const { getProviderName } = require('./services/emailService');
+const { setupWebhook: setupTelegramWebhook } = require('./services/telegramBot');
+
+// ===================================================================
+// ENCRYPTION KEYS - Refuse to run production on default/weak keys
+// ===================================================================
+const keyProblems = validateKeyring();
+if (keyProblems.length > 0) {
+    keyProblems.forEach(problem => console.error(`❌ ${problem}`));
+    if (process.env.NODE_ENV === 'production') {
+        console.error('❌ Refusing to start with insecure encryption keys');
+        process.exit(1);
+    }
+}
 
 const app = express();
 
@@ -50,6 +69,10 @@ mongoose.connect(process.env.MONGODB_URI)
     .then(() => {
         console.log('✅ MongoDB Connected Successfully');
         console.log(`📊 Database: ${mongoose.connection.name}`);
+        schedulePurge();
+        scheduleCatalogueRefresh();
+        scheduleRulesRefresh();
+        startNotificationWorker();
     })
     .catch((err) => {
         console.error('❌ MongoDB Connection Error:', err);
@@ -59,9 +82,20 @@ mongoose.connect(process.env.MONGODB_URI)
 // ===================================
 // ROUTES
 // ===================================
+app.use('/api/auth', require('./routes/auth'));
 app.use('/api/teams', require('./routes/teams'));
+app.use('/api/drafts', require('./routes/drafts'));
 app.use('/api/upload', require('./routes/upload'));
 app.use('/api/verification', require('./routes/verification'));
+app.use('/api/portal', require('./routes/portal'));
+app.use('/api/slots', require('./routes/slots'));
+app.use('/api/audit', require('./routes/audit'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/telegram', require('./routes/telegram'));
+app.use('/api/checkin', require('./routes/checkin'));
+app.use('/api/geo', require('./routes/geo'));
+app.use('/api/temples', require('./routes/temples'));
+app.use('/api/settings', require('./routes/settings'));
 
 // ===================================
 // BASIC ENDPOINTS
@@ -75,7 +109,7 @@ app.get('/api/health', (req, res) => {
         timestamp: new Date().toISOString(),
         mongodb: mongoose.connection.readyState === 1 ? 'Connected' : 'Disconnected',
         environment: process.env.NODE_ENV || 'development',
-        emailConfigured: !!process.env.SMTP_USER
+        emailConfigured: !!getProviderName()
     });
 });
 
@@ -87,9 +121,19 @@ app.get('/', (req, res) => {
         status: 'active',
         endpoints: {
             health: '/api/health',
+            auth: '/api/auth/login',
             teams: '/api/teams',
+            drafts: '/api/drafts',
             upload: '/api/upload/photo',
-            verification: '/api/verification'
+            verification: '/api/verification',
+            portal: '/api/portal',
+            slots: '/api/slots',
+            audit: '/api/audit',
+            notifications: '/api/notifications/jobs',
+            checkin: '/api/checkin/scan',
+            geo: '/api/geo/pincode/:code',
+            temples: '/api/temples',
+            settings: '/api/settings/registration'
         }
     });
 });
@@ -130,8 +174,9 @@ const server = app.listen(PORT, '0.0.0.0', () => {
     console.log(`🚀 Server running on port ${PORT}`);
     console.log(`📝 Environment: ${process.env.NODE_ENV || 'development'}`);
     console.log(`🌐 CORS: Enabled for ALL origins`);
-    console.log(`📧 Email: ${process.env.SMTP_USER ? 'Configured ✅' : 'Not configured ❌'}`);
+    console.log(`📧 Email: ${getProviderName() ? `${getProviderName()} ✅` : 'Not configured ❌'}`);
     console.log('='.repeat(50));
+    setupTelegramWebhook();
 });
 
 // ===================================
@@ -0,0 +1,86 @@
+/**
+ * JSON-over-HTTP helper shared by the Aadhaar provider adapters.
+ * Requests time out after AADHAAR_TIMEOUT_MS (default 10s) and are retried
+ * AADHAAR_RETRIES times (default 2) with exponential backoff, but only when
+ * the provider cannot have acted on them: connection failures and 429/502/503/504.
+ * A timed-out request is not retried, since the provider may already have
+ * sent an OTP or consumed one.
+ */
+
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+
+class ProviderError extends Error {
+    constructor(message, { status, retryable = false } = {}) {
+        super(message);
+        this.name = 'ProviderError';
+        this.status = status;
+        this.retryable = retryable;
+    }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function getConfig() {
+    return {
+        baseUrl: String(process.env.AADHAAR_API_URL || '').replace(/\/+$/, ''),
+        apiKey: process.env.AADHAAR_API_KEY,
+        timeout: Number(process.env.AADHAAR_TIMEOUT_MS) || 10000,
+        retries: process.env.AADHAAR_RETRIES !== undefined ? Number(process.env.AADHAAR_RETRIES) : 2
+    };
+}
+
+async function attempt(url, { headers, body, timeout }) {
+    let response;
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body),
+            signal: AbortSignal.timeout(timeout)
+        });
+    } catch (error) {
+        if (error.name === 'TimeoutError') {
+            throw new ProviderError('Verification provider timed out');
+        }
+        throw new ProviderError(`Verification provider unreachable: ${error.cause ? error.cause.code || error.cause.message : error.message}`, { retryable: true });
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (RETRYABLE_STATUSES.includes(response.status)) {
+        throw new ProviderError(`Verification provider responded with ${response.status}`, { status: response.status, retryable: true });
+    }
+    if (response.status === 401 || response.status === 403) {
+        throw new ProviderError('Verification provider rejected the API key', { status: response.status });
+    }
+    return { status: response.status, data };
+}
+
+/**
+ * POST JSON to the configured provider
+ * @param {string} path - Path below AADHAAR_API_URL
+ * @param {object} body - Request body
+ * @param {object} headers - Extra headers (authentication)
+ * @returns {object} { status, data }
+ * @throws {ProviderError} when no usable response was received
+ */
+async function postJson(path, body, headers = {}) {
+    const { baseUrl, timeout, retries } = getConfig();
+    if (!baseUrl) {
+        throw new ProviderError('AADHAAR_API_URL is not configured');
+    }
+
+    for (let i = 0; ; i++) {
+        try {
+            return await attempt(`${baseUrl}${path}`, { headers, body, timeout });
+        } catch (error) {
+            if (!error.retryable || i >= retries) throw error;
+            await sleep(250 * 2 ** i);
+        }
+    }
+}
+
+module.exports = {
+    ProviderError,
+    getConfig,
+    postJson
+};
@@ -0,0 +1,34 @@
+/**
+ * Aadhaar OTP provider interface.
+ *
+ * Every provider exposes:
+ *   name
+ *   sendOtp({ aadhaar, mobile, sessionId })
+ *     -> { success, message, providerReference?, otpHash?, httpStatus? }
+ *   verifyOtp({ session, otp })
+ *     -> { success, message, data: { name, dob, gender, aadhaar_last4 } }
+ * and throws a ProviderError when the provider cannot be reached.
+ *
+ * AADHAAR_PROVIDER selects the provider for new verifications; existing
+ * sessions keep the provider that sent their OTP.
+ */
+const { ProviderError } = require('./httpClient');
+
+const providers = {
+    mock: require('./mock'),
+    karza: require('./karza'),
+    signzy: require('./signzy')
+};
+
+/**
+ * Look up a provider by name (default: AADHAAR_PROVIDER, then 'mock')
+ * @returns {object|null} Provider, or null if unknown
+ */
+function getProvider(name = process.env.AADHAAR_PROVIDER || 'mock') {
+    return providers[name] || null;
+}
+
+module.exports = {
+    ProviderError,
+    getProvider
+};
@@ -0,0 +1,58 @@
+const { postJson, getConfig } = require('./httpClient');
+
+// Karza statusCode 101 means success; the others are mapped to readable messages
+const STATUS_MESSAGES = {
+    102: 'Invalid Aadhaar number',
+    103: 'No mobile number is linked to this Aadhaar',
+    104: 'Too many OTP requests for this Aadhaar, please try again later',
+    105: 'Invalid OTP',
+    106: 'OTP expired, request a new one'
+};
+
+const authHeaders = () => ({ 'x-karza-key': getConfig().apiKey });
+
+function failure(data, fallback) {
+    const message = STATUS_MESSAGES[data.statusCode] ||
+        (data.result && data.result.message) || (data.error && data.error.message) || fallback;
+    return { success: false, message };
+}
+
+/**
+ * Karza Aadhaar XML (OKYC) adapter
+ */
+module.exports = {
+    name: 'karza',
+
+    async sendOtp({ aadhaar }) {
+        const { data } = await postJson('/v3/aadhaar-xml/otp', { aadhaarNo: aadhaar, consent: 'Y' }, authHeaders());
+
+        if (data.statusCode !== 101 || !data.requestId) {
+            return failure(data, 'OTP could not be sent');
+        }
+        return { success: true, message: 'OTP sent successfully', providerReference: data.requestId };
+    },
+
+    async verifyOtp({ session, otp }) {
+        const { data } = await postJson(
+            '/v3/aadhaar-xml/file',
+            { requestId: session.provider_reference, otp, consent: 'Y' },
+            authHeaders()
+        );
+
+        const aadhaar = data.result && data.result.dataFromAadhaar;
+        if (data.statusCode !== 101 || !aadhaar) {
+            return failure(data, 'Invalid OTP');
+        }
+
+        return {
+            success: true,
+            message: 'Aadhaar verified successfully',
+            data: {
+                name: aadhaar.name,
+                dob: aadhaar.dob,
+                gender: aadhaar.gender,
+                aadhaar_last4: String(aadhaar.maskedAadhaarNumber || '').slice(-4) || undefined
+            }
+        };
+    }
+};
@@ -0,0 +1,49 @@
+const { postJson, getConfig } = require('./httpClient');
+
+const authHeaders = () => ({ Authorization: getConfig().apiKey });
+
+function failure(data, fallback) {
+    const message = (data.error && data.error.message) || data.message || fallback;
+    return { success: false, message };
+}
+
+/**
+ * Signzy offline e-KYC (OKYC) adapter
+ */
+module.exports = {
+    name: 'signzy',
+
+    async sendOtp({ aadhaar }) {
+        const { data } = await postJson('/api/v3/getOkycOtp', { aadhaarNumber: aadhaar }, authHeaders());
+
+        const result = data.result || {};
+        if (!result.otpSentStatus || !result.requestId) {
+            return failure(data, 'OTP could not be sent');
+        }
+        return { success: true, message: 'OTP sent successfully', providerReference: result.requestId };
+    },
+
+    async verifyOtp({ session, otp }) {
+        const { data } = await postJson(
+            '/api/v3/fetchOkycData',
+            { requestId: session.provider_reference, otp },
+            authHeaders()
+        );
+
+        const result = data.result;
+        if (!result || !result.name) {
+            return failure(data, 'Invalid OTP');
+        }
+
+        return {
+            success: true,
+            message: 'Aadhaar verified successfully',
+            data: {
+                name: result.name,
+                dob: result.dob,
+                gender: result.gender,
+                aadhaar_last4: String(result.maskedAadhaarNumber || '').slice(-4) || undefined
+            }
+        };
+    }
+};
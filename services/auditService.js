@@ -0,0 +1,94 @@
+const AuditLog = require('../models/AuditLog');
+const { mask } = require('../utils/memberValidator');
+
+// Bookkeeping fields that change on every save and carry no meaning
+const IGNORED_FIELDS = ['_id', '__v', 'updated_at', 'updatedAt', 'createdAt', 'leader_otp', 'status_history'];
+
+// Aadhaar and mobile values never reach the audit log in clear
+const SENSITIVE_FIELD = /id_number|mobile|aadhaar/i;
+
+/**
+ * Mask a value stored under a sensitive field
+ */
+function maskValue(key, value) {
+    if (value === undefined || value === null || value === '') return value;
+    if (/_encrypted$/.test(key)) return '[encrypted]';
+    if (/_masked$/.test(key)) return value;
+    return mask(String(value));
+}
+
+/**
+ * Flatten a plain object into { 'a.b.0.c': value } pairs
+ */
+function flatten(value, prefix = '', out = {}) {
+    if (value && typeof value === 'object' && !(value instanceof Date) && !value._bsontype) {
+        for (const key of Object.keys(value)) {
+            if (!prefix && IGNORED_FIELDS.includes(key)) continue;
+            if (prefix && key === '_id') continue;
+            flatten(value[key], prefix ? `${prefix}.${key}` : key, out);
+        }
+    } else {
+        out[prefix] = value instanceof Date ? value.toISOString() : (value && value._bsontype ? String(value) : value);
+    }
+    return out;
+}
+
+/**
+ * Compute field-level differences between two team snapshots
+ * @param {object} before - Team before the change (plain object)
+ * @param {object} after - Team after the change (plain object)
+ * @returns {Array} [{ path, before, after }] with sensitive values masked
+ */
+function diffTeam(before, after) {
+    const a = flatten(before || {});
+    const b = flatten(after || {});
+    const paths = new Set([...Object.keys(a), ...Object.keys(b)]);
+    const changes = [];
+
+    for (const path of paths) {
+        if (a[path] === b[path]) continue;
+
+        const key = path.split('.').pop();
+        const sensitive = SENSITIVE_FIELD.test(key);
+        changes.push({
+            path,
+            before: sensitive ? maskValue(key, a[path]) : a[path],
+            after: sensitive ? maskValue(key, b[path]) : b[path]
+        });
+    }
+
+    return changes.sort((x, y) => x.path.localeCompare(y.path));
+}
+
+/**
+ * Record an admin action. Never throws: a failed audit write is logged
+ * rather than failing the request that triggered it.
+ *
+ * @param {object} req - Express request (admin and IP are read from it)
+ * @param {object} entry - { action, team, changes, metadata }
+ */
+async function recordAudit(req, { action, team, changes = [], metadata }) {
+    try {
+        const admin = req.admin;
+        // req.actor lets non-HTTP callers (e.g. the Telegram bot) name themselves
+        const actor = req.actor || (admin
+            ? { id: String(admin._id), username: admin.username, role: admin.role }
+            : { username: 'system' });
+        await AuditLog.create({
+            actor,
+            action,
+            team: team ? team._id : undefined,
+            team_name: team ? team.team_name : undefined,
+            changes,
+            metadata,
+            ip: req.ip
+        });
+    } catch (error) {
+        console.error('❌ Audit log error:', error);
+    }
+}
+
+module.exports = {
+    diffTeam,
+    recordAudit
+};
@@ -0,0 +1,133 @@
+const Slot = require('../models/Slot');
+const Team = require('../models/Team');
+const { historyEntry } = require('./workflowService');
+
+/**
+ * Assign a verified team to a published slot.
+ *
+ * Both steps are single-document atomic updates, so concurrent assignments
+ * cannot overbook: the slot update only matches while the team's members
+ * still fit, and the team update only matches while it is still verified.
+ * If the team step loses a race, the slot reservation is released again.
+ *
+ * @param {string} slotId - Slot to book
+ * @param {string} teamId - Team to book
+ * @param {string} bookedBy - Username of the admin making the booking
+ * @returns {object} { success, team, slot } or { success, status, message }
+ */
+async function assignTeamToSlot(slotId, teamId, bookedBy) {
+    const team = await Team.findOne({ _id: teamId, deleted_at: null });
+    if (!team) {
+        return { success: false, status: 404, message: 'Team not found' };
+    }
+    if (team.submission_status !== 'verified') {
+        return { success: false, status: 409, message: `Only verified teams can be booked (status: ${team.submission_status})` };
+    }
+
+    const membersCount = team.members.length;
+    const bookedAt = new Date();
+
+    // Reserve capacity on the slot
+    const slot = await Slot.findOneAndUpdate(
+        {
+            _id: slotId,
+            status: 'published',
+            'bookings.team': { $ne: team._id },
+            $expr: { $lte: [{ $add: ['$booked_count', membersCount] }, '$capacity'] }
+        },
+        {
+            $inc: { booked_count: membersCount },
+            $push: { bookings: { team: team._id, members_count: membersCount, booked_at: bookedAt, booked_by: bookedBy } }
+        },
+        { new: true }
+    );
+
+    if (!slot) {
+        const existing = await Slot.findById(slotId);
+        if (!existing) {
+            return { success: false, status: 404, message: 'Slot not found' };
+        }
+        if (existing.status !== 'published') {
+            return { success: false, status: 409, message: 'Slot is not open for booking' };
+        }
+        if (existing.bookings.some(b => String(b.team) === String(team._id))) {
+            return { success: false, status: 409, message: 'Team is already booked on this slot' };
+        }
+        return {
+            success: false,
+            status: 409,
+            message: `Not enough capacity: ${existing.available} places left, team needs ${membersCount}`
+        };
+    }
+
+    // Move the team to booked, only if nobody else changed it meanwhile
+    const bookedTeam = await Team.findOneAndUpdate(
+        { _id: team._id, submission_status: 'verified', deleted_at: null },
+        {
+            $set: {
+                submission_status: 'booked',
+                booking: {
+                    slot: slot._id,
+                    date: slot.date,
+                    temple: slot.temple,
+                    darshan_type: slot.darshan_type,
+                    booked_at: bookedAt,
+                    booked_by: bookedBy
+                },
+                updated_at: bookedAt
+            },
+            $push: { status_history: historyEntry('verified', 'booked', bookedBy, `Booked on ${slot.temple} / ${slot.darshan_type}`) }
+        },
+        { new: true }
+    );
+
+    if (!bookedTeam) {
+        await Slot.updateOne(
+            { _id: slot._id, 'bookings.team': team._id },
+            { $inc: { booked_count: -membersCount }, $pull: { bookings: { team: team._id } } }
+        );
+        return { success: false, status: 409, message: 'Team status changed during booking, please retry' };
+    }
+
+    return { success: true, team: bookedTeam, slot };
+}
+
+/**
+ * Cancel a team's booking and return it to verified.
+ * @param {string} teamId - Booked team
+ * @param {string} slotId - Slot the team must be booked on
+ * @param {object} options - { changedBy, reason }
+ * @returns {object} { success, team } or { success, status, message }
+ */
+async function releaseBooking(teamId, slotId, { changedBy, reason } = {}) {
+    const team = await Team.findOneAndUpdate(
+        { _id: teamId, submission_status: 'booked', 'booking.slot': slotId },
+        {
+            $set: { submission_status: 'verified', updated_at: new Date() },
+            $unset: { booking: 1 },
+            $push: { status_history: historyEntry('booked', 'verified', changedBy, reason || 'Booking cancelled') }
+        }
+    );
+
+    if (!team) {
+        return { success: false, status: 409, message: 'Team is not booked on this slot' };
+    }
+
+    if (team.booking && team.booking.slot) {
+        const slot = await Slot.findById(team.booking.slot);
+        const entry = slot && slot.bookings.find(b => String(b.team) === String(team._id));
+        if (entry) {
+            await Slot.updateOne(
+                { _id: slot._id, 'bookings.team': team._id },
+                { $inc: { booked_count: -entry.members_count }, $pull: { bookings: { team: team._id } } }
+            );
+        }
+    }
+
+    return { success: true, team: await Team.findById(teamId) };
+}
+
+module.exports = {
+    assignTeamToSlot,
+    releaseBooking
+};
@@ -0,0 +1,169 @@
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const Team = require('../models/Team');
+const Slot = require('../models/Slot');
+
+// ============================================
+// PASS TOKENS
+// One signed token per member, bound to the team's booked slot. Passes do
+// not expire by time: a scan checks the live booking and the slot date, so
+// cancelling or moving a booking invalidates the old passes.
+// ============================================
+
+function signPassToken(team, member) {
+    if (!process.env.JWT_SECRET) {
+        throw new Error('JWT_SECRET is not configured');
+    }
+    return jwt.sign(
+        { sub: String(member._id), type: 'checkin', team: String(team._id), slot: String(team.booking.slot) },
+        process.env.JWT_SECRET,
+        { noTimestamp: true }
+    );
+}
+
+/**
+ * @returns {object|null} { memberId, teamId, slotId } or null when invalid
+ */
+function verifyPassToken(token) {
+    try {
+        const payload = jwt.verify(String(token || ''), process.env.JWT_SECRET);
+        if (payload.type !== 'checkin') return null;
+        return { memberId: payload.sub, teamId: payload.team, slotId: payload.slot };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Issue check-in passes for every member of a booked team
+ * @returns {Promise<object>} { success, passes: [{ member_id, name, token, qr }] } or { success: false, status, message }
+ */
+async function issuePasses(team) {
+    if (team.submission_status !== 'booked' || !team.booking || !team.booking.slot) {
+        return { success: false, status: 409, message: 'Check-in passes are issued once the team is booked on a slot' };
+    }
+
+    const passes = [];
+    for (const member of team.members) {
+        const token = signPassToken(team, member);
+        passes.push({
+            member_id: member._id,
+            name: member.name,
+            token,
+            qr: await QRCode.toDataURL(token, { errorCorrectionLevel: 'M', margin: 1, width: 240 })
+        });
+    }
+    return { success: true, passes };
+}
+
+// ============================================
+// SCAN
+// ============================================
+
+// Slot dates are stored as UTC midnight of the IST day; reading them as IST
+// also keeps slots saved as IST midnight (18:30 UTC the day before) right
+const slotDay = (slot) => Slot.istDay(slot.date);
+
+/**
+ * Members checked in on the team's current booking
+ */
+const isCheckedIn = (team, member) => !!(member.checkin && member.checkin.checked_in_at &&
+    team.booking && String(member.checkin.slot) === String(team.booking.slot));
+
+/**
+ * Validate a scanned pass and check the member in exactly once
+ * @param {string} token - Token read from the QR code
+ * @param {object} options - { volunteer, gate }
+ * @returns {Promise<object>} { success, team, member, slot } or { success: false, status, message, team?, member? }
+ */
+async function scanPass(token, { volunteer, gate }) {
+    const pass = verifyPassToken(token);
+    if (!pass) {
+        return { success: false, status: 400, message: 'Invalid or tampered pass' };
+    }
+
+    const team = await Team.findOne({ _id: pass.teamId, deleted_at: null });
+    if (!team) {
+        return { success: false, status: 404, message: 'Registration no longer exists' };
+    }
+    if (team.submission_status !== 'booked' || !team.booking || String(team.booking.slot) !== pass.slotId) {
+        return { success: false, status: 409, message: 'Pass is not for the team\'s current booking', team };
+    }
+
+    const member = team.members.id(pass.memberId);
+    if (!member) {
+        return { success: false, status: 404, message: 'Member is no longer part of this team', team };
+    }
+
+    const slot = await Slot.findById(pass.slotId);
+    if (!slot) {
+        return { success: false, status: 404, message: 'Slot no longer exists', team, member };
+    }
+    if (slotDay(slot) !== Slot.istDay(new Date())) {
+        return { success: false, status: 409, message: `Pass is valid on ${slotDay(slot)} only`, team, member };
+    }
+
+    // Only matches while the member has not checked in on this slot
+    const checkin = { slot: slot._id, checked_in_at: new Date(), checked_in_by: volunteer, gate };
+    const result = await Team.updateOne(
+        { _id: team._id, members: { $elemMatch: { _id: member._id, 'checkin.slot': { $ne: slot._id } } } },
+        { $set: { 'members.$.checkin': checkin } }
+    );
+
+    if (result.modifiedCount === 0) {
+        const current = await Team.findById(team._id).select('members._id members.checkin');
+        const existing = current && current.members.id(member._id);
+        const previous = existing && existing.checkin;
+        return {
+            success: false,
+            status: 409,
+            message: previous && previous.checked_in_at
+                ? `Already checked in at ${previous.checked_in_at.toISOString()} by ${previous.checked_in_by}`
+                : 'Pass already used',
+            team,
+            member,
+            previous
+        };
+    }
+
+    member.checkin = checkin;
+    return { success: true, team, member, slot };
+}
+
+/**
+ * Check-in progress for a team on its current booking
+ */
+function checkinSummary(team) {
+    const members = team.members.map(m => {
+        const checkedIn = isCheckedIn(team, m);
+        return {
+            member_id: m._id,
+            name: m.name,
+            checked_in: checkedIn,
+            checked_in_at: checkedIn ? m.checkin.checked_in_at : null,
+            checked_in_by: checkedIn ? m.checkin.checked_in_by : null,
+            gate: checkedIn ? m.checkin.gate : null
+        };
+    });
+    const checkedIn = members.filter(m => m.checked_in).length;
+
+    return {
+        team_id: team._id,
+        team_name: team.team_name,
+        reference_number: team.reference_number,
+        status: team.submission_status,
+        booking: team.booking && team.booking.slot ? team.booking : null,
+        total: members.length,
+        checked_in: checkedIn,
+        pending: members.length - checkedIn,
+        members
+    };
+}
+
+module.exports = {
+    signPassToken,
+    verifyPassToken,
+    issuePasses,
+    scanPass,
+    checkinSummary
+};
@@ -0,0 +1,336 @@
+const crypto = require('crypto');
+const RegistrationDraft = require('../models/RegistrationDraft');
+const { encrypt, decrypt, hash, blindIndex } = require('../utils/encryption');
+const { mask, calculateAge, validateMemberFields } = require('../utils/memberValidator');
+const { getRules, teamSizeError, compositionErrors, registrationWindowError } = require('../utils/registrationRules');
+const { validateRegistration, registerTeam } = require('./registrationService');
+
+const DRAFT_TTL_DAYS = parseInt(process.env.DRAFT_TTL_DAYS, 10) || 7;
+
+// A finalised draft lingers briefly so a retried finalise gets a clear answer
+const FINALISED_TTL_MS = 24 * 60 * 60 * 1000;
+
+// A finalise that has not finished by then is assumed to have died mid-way
+const FINALISING_CLAIM_TTL_MS = 5 * 60 * 1000;
+
+// Plain member fields a draft accepts as-is
+const MEMBER_FIELDS = [
+    'name', 'dob', 'gender', 'id_proof_type', 'email', 'state', 'district', 'city',
+    'street', 'doorno', 'pincode', 'nearest_ttd_temple', 'photo_path', 'photo',
+    'verification_id'
+];
+
+const newDraftToken = () => 'DRF_' + crypto.randomBytes(24).toString('hex');
+const draftExpiry = () => new Date(Date.now() + DRAFT_TTL_DAYS * 24 * 60 * 60 * 1000);
+const staleClaimBefore = () => new Date(Date.now() - FINALISING_CLAIM_TTL_MS);
+
+/**
+ * Whether a finalise is in progress on the draft (a stale claim does not count)
+ */
+function isFinalising(draft) {
+    return draft.status === 'finalising' && !!draft.finalising_at && draft.finalising_at > staleClaimBefore();
+}
+
+/**
+ * Load an open draft by its token
+ * @returns {Promise<object|null>} Draft document
+ */
+function findDraft(token) {
+    return RegistrationDraft.findOne({
+        token_hash: hash(String(token || '')),
+        expires_at: { $gt: new Date() }
+    });
+}
+
+// ============================================
+// CHANGES
+// ============================================
+
+/**
+ * Apply one member patch to a draft member in place
+ */
+function patchMember(target, patch) {
+    for (const field of MEMBER_FIELDS) {
+        if (patch[field] === undefined) continue;
+        target[field] = patch[field] === null ? undefined : String(patch[field]).trim();
+    }
+    if (patch.dob !== undefined) {
+        target.age = target.dob ? calculateAge(target.dob) : undefined;
+    }
+
+    if (patch.id_number !== undefined) {
+        const aadhaar = String(patch.id_number || '').replace(/\s/g, '');
+        target.id_number_encrypted = aadhaar ? encrypt(aadhaar) : undefined;
+        target.id_number_masked = aadhaar ? mask(aadhaar) : undefined;
+        target.id_number_index = aadhaar ? blindIndex(aadhaar) : undefined;
+    }
+    if (patch.mobile !== undefined) {
+        const mobile = String(patch.mobile || '').trim();
+        target.mobile_encrypted = mobile ? encrypt(mobile) : undefined;
+        target.mobile_masked = mobile ? mask(mobile) : undefined;
+    }
+}
+
+/**
+ * Apply an autosave to a draft.
+ * Body: team_name, members_count, consent_given, and members: [{ index, ...fields }]
+ * where index may be the next free position (append); { index, remove: true }
+ * drops a member. Patches apply in order. null clears a field.
+ * @returns {object} { success } or { success: false, status, message }
+ */
+function applyChanges(draft, changes = {}) {
+    if (changes.team_name !== undefined) {
+        draft.team_name = changes.team_name === null ? undefined : String(changes.team_name).trim().slice(0, 100);
+    }
+    if (changes.members_count !== undefined) {
+        const count = changes.members_count === null ? undefined : Number(changes.members_count);
+        if (count !== undefined && !Number.isInteger(count)) {
+            return { success: false, status: 400, message: 'members_count must be a whole number' };
+        }
+        draft.members_count = count;
+    }
+    if (changes.consent_given !== undefined) {
+        draft.consent_given = changes.consent_given === true || changes.consent_given === 'true';
+    }
+
+    if (changes.members === undefined) {
+        return { success: true };
+    }
+    if (!Array.isArray(changes.members)) {
+        return { success: false, status: 400, message: 'members must be an array of { index, ...fields }' };
+    }
+
+    for (const patch of changes.members) {
+        const index = Number(patch && patch.index);
+        if (!Number.isInteger(index) || index < 0 || index > draft.members.length) {
+            return { success: false, status: 400, message: `Invalid member index ${patch && patch.index}` };
+        }
+
+        if (patch.remove) {
+            if (index < draft.members.length) draft.members.splice(index, 1);
+            continue;
+        }
+
+        if (index === draft.members.length) {
+            const { max } = getRules().team_size;
+            if (draft.members.length >= max) {
+                return { success: false, status: 400, message: `A team can have at most ${max} members` };
+            }
+            draft.members.push({});
+        }
+        patchMember(draft.members[index], patch);
+    }
+
+    draft.markModified('members');
+    return { success: true };
+}
+
+// ============================================
+// FEEDBACK
+// ============================================
+
+/**
+ * Member with plaintext Aadhaar/mobile, as registration expects it
+ */
+function plainMember(member) {
+    const { id_number_encrypted, id_number_masked, id_number_index, mobile_encrypted, mobile_masked, age, ...rest } = member.toObject();
+    return {
+        ...rest,
+        id_number: id_number_encrypted ? decrypt(id_number_encrypted) : undefined,
+        mobile: mobile_encrypted ? decrypt(mobile_encrypted) : undefined
+    };
+}
+
+/**
+ * Per-field problems with the draft so far, and whether it can be finalised
+ * @returns {object} { ready, team: { [field]: message }, members: { [index]: { [field]: message } } }
+ */
+function draftFeedback(draft) {
+    const team = {};
+    const closed = registrationWindowError();
+    if (closed) {
+        team.registration = closed;
+    }
+    if (draft.members_count !== undefined && teamSizeError(draft.members_count)) {
+        team.members_count = teamSizeError(draft.members_count);
+    }
+    if (draft.members_count !== undefined && draft.members.length > draft.members_count) {
+        team.members = `${draft.members.length} members added but members_count is ${draft.members_count}`;
+    }
+
+    const members = {};
+    const seen = new Map();
+    let complete = true;
+
+    draft.members.forEach((member, index) => {
+        const plain = plainMember(member);
+        const errors = validateMemberFields(plain, { partial: true });
+
+        if (member.id_number_index) {
+            if (seen.has(member.id_number_index)) {
+                errors.id_number = `Same Aadhaar as member ${seen.get(member.id_number_index) + 1}`;
+            } else {
+                seen.set(member.id_number_index, index);
+            }
+        }
+        if (Object.keys(validateMemberFields(plain)).length > 0) complete = false;
+        if (Object.keys(errors).length > 0) members[index] = errors;
+    });
+
+    // Gender mix is only judged once every member is in
+    if (draft.members_count !== undefined && draft.members.length === draft.members_count) {
+        const composition = compositionErrors(draft.members);
+        if (composition.length > 0) team.gender = composition.join('; ');
+    }
+
+    const ready = complete &&
+        Object.keys(team).length === 0 &&
+        Object.keys(members).length === 0 &&
+        !!draft.team_name &&
+        draft.consent_given &&
+        draft.members.length === draft.members_count;
+
+    return { ready, team, members };
+}
+
+/**
+ * Draft as shown to the client (masked Aadhaar/mobile only)
+ */
+function toDraftView(draft) {
+    return {
+        status: draft.status,
+        team_name: draft.team_name,
+        members_count: draft.members_count,
+        consent_given: draft.consent_given,
+        members: draft.members.map((m, index) => {
+            const { id_number_encrypted, id_number_index, mobile_encrypted, ...rest } = m.toObject();
+            return { index, ...rest };
+        }),
+        reference_number: draft.reference_number,
+        expires_at: draft.expires_at,
+        updated_at: draft.updatedAt
+    };
+}
+
+// ============================================
+// LIFECYCLE
+// ============================================
+
+/**
+ * Start a new draft, optionally with initial data
+ * @returns {Promise<object>} { success, token, draft } or { success: false, status, message }
+ */
+async function createDraft(changes, { ip }) {
+    const token = newDraftToken();
+    const draft = new RegistrationDraft({
+        token_hash: hash(token),
+        expires_at: draftExpiry(),
+        created_by_ip: ip
+    });
+
+    const applied = applyChanges(draft, changes);
+    if (!applied.success) return applied;
+
+    await draft.save();
+    return { success: true, token, draft };
+}
+
+/**
+ * Autosave changes to an open draft and extend its expiry
+ */
+async function saveDraft(draft, changes) {
+    if (draft.status === 'finalised') {
+        return { success: false, status: 409, message: 'Draft has already been submitted' };
+    }
+    if (isFinalising(draft)) {
+        return { success: false, status: 409, message: 'Draft is being submitted' };
+    }
+    draft.status = 'open';
+    draft.finalising_at = undefined;
+
+    const applied = applyChanges(draft, changes);
+    if (!applied.success) return applied;
+
+    draft.expires_at = draftExpiry();
+    await draft.save();
+    return { success: true, draft };
+}
+
+/**
+ * Turn a draft into a Team through the same validation as POST /api/teams
+ * @returns {Promise<object>} registerTeam result, or { success: false, status, message, errors? }
+ */
+async function finaliseDraft(draft, { ip }) {
+    if (draft.status === 'finalised') {
+        return { success: false, status: 409, message: `Draft already submitted as ${draft.reference_number}` };
+    }
+
+    const input = {
+        team_name: draft.team_name,
+        members_count: draft.members_count,
+        consent_given: String(draft.consent_given),
+        members: draft.members.map(plainMember)
+    };
+
+    const errors = await validateRegistration(input);
+    if (errors.length > 0) {
+        return { success: false, status: 400, message: 'Draft is incomplete', errors, feedback: draftFeedback(draft) };
+    }
+
+    // Claim the draft so a double submit cannot register twice; a claim left
+    // behind by a finalise that died can be taken over once it is stale
+    const claimed = await RegistrationDraft.findOneAndUpdate(
+        {
+            _id: draft._id,
+            $or: [
+                { status: 'open' },
+                { status: 'finalising', finalising_at: { $not: { $gt: staleClaimBefore() } } }
+            ]
+        },
+        { $set: { status: 'finalising', finalising_at: new Date() } },
+        { new: true }
+    );
+    if (!claimed) {
+        return { success: false, status: 409, message: 'Draft is already being submitted' };
+    }
+
+    let result;
+    try {
+        result = await registerTeam(input, { ip });
+    } catch (error) {
+        await RegistrationDraft.updateOne({ _id: draft._id }, { $set: { status: 'open' }, $unset: { finalising_at: 1 } });
+        throw error;
+    }
+
+    if (!result.success) {
+        await RegistrationDraft.updateOne({ _id: draft._id }, { $set: { status: 'open' }, $unset: { finalising_at: 1 } });
+        return result;
+    }
+
+    // The team now holds the data; drop the draft's copy of it
+    await RegistrationDraft.updateOne(
+        { _id: draft._id },
+        {
+            $set: {
+                status: 'finalised',
+                team: result.team._id,
+                reference_number: result.team.reference_number,
+                members: [],
+                expires_at: new Date(Date.now() + FINALISED_TTL_MS)
+            },
+            $unset: { finalising_at: 1 }
+        }
+    );
+    return result;
+}
+
+module.exports = {
+    DRAFT_TTL_DAYS,
+    findDraft,
+    createDraft,
+    saveDraft,
+    finaliseDraft,
+    isFinalising,
+    draftFeedback,
+    toDraftView
+};
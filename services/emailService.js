@@ -0,0 +1,132 @@
+const nodemailer = require('nodemailer');
+const Team = require('../models/Team');
+const templates = require('./emailTemplates');
+
+// ============================================
+// TRANSPORTS
+// EMAIL_PROVIDER: 'smtp' (default when SMTP_HOST is set), 'sendgrid', 'resend'
+// ============================================
+const transports = {
+    smtp() {
+        // Auth is optional so a local SMTP stand-in (scripts/smtp-sink.js) works
+        const transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: Number(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            ignoreTLS: process.env.SMTP_IGNORE_TLS === 'true',
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                : undefined
+        });
+
+        return async (message) => {
+            const info = await transporter.sendMail(message);
+            return info.messageId;
+        };
+    },
+
+    sendgrid() {
+        const sgMail = require('@sendgrid/mail');
+        sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+
+        return async (message) => {
+            const [response] = await sgMail.send(message);
+            return response && response.headers ? response.headers['x-message-id'] : undefined;
+        };
+    },
+
+    resend() {
+        const { Resend } = require('resend');
+        const resend = new Resend(process.env.RESEND_API_KEY);
+
+        return async (message) => {
+            const { data, error } = await resend.emails.send(message);
+            if (error) {
+                throw new Error(error.message || 'Resend delivery failed');
+            }
+            return data && data.id;
+        };
+    }
+};
+
+let activeTransport = null;
+
+/**
+ * Name of the configured provider, or null when email is not configured
+ */
+function getProviderName() {
+    const provider = process.env.EMAIL_PROVIDER || (process.env.SMTP_HOST ? 'smtp' : null);
+    return provider && transports[provider] ? provider : null;
+}
+
+function getTransport() {
+    const provider = getProviderName();
+    if (!provider) return null;
+
+    if (!activeTransport || activeTransport.provider !== provider) {
+        activeTransport = { provider, send: transports[provider]() };
+    }
+    return activeTransport;
+}
+
+function getFromAddress() {
+    return process.env.EMAIL_FROM || `"TTD Registration" <${process.env.SMTP_USER || 'no-reply@localhost'}>`;
+}
+
+/**
+ * Send a single email through the configured provider
+ * @param {object} message - { to, subject, html, text }
+ * @returns {object} { provider, message_id }
+ */
+async function sendMail({ to, subject, html, text }) {
+    const transport = getTransport();
+    if (!transport) {
+        throw new Error('Email is not configured');
+    }
+
+    const messageId = await transport.send({ from: getFromAddress(), to, subject, html, text });
+    return { provider: transport.provider, message_id: messageId };
+}
+
+/**
+ * Email one team member and record the delivery status on the member
+ * (members.email_notifications). Throws when delivery fails so queued
+ * jobs are retried.
+ *
+ * @param {object} team - Team document
+ * @param {object} member - Member subdocument
+ * @param {string} event - registration_received | verified | rejected | booked
+ * @returns {object} { provider, message_id }
+ */
+async function sendMemberEmail(team, member, event) {
+    const template = templates[event];
+    if (!template) {
+        throw new Error(`Unknown email event "${event}"`);
+    }
+
+    const entry = { event, sent_at: new Date() };
+    let result;
+    try {
+        result = await sendMail({ to: member.email, ...template(team, member) });
+        Object.assign(entry, { status: 'sent', provider: result.provider, message_id: result.message_id });
+    } catch (error) {
+        Object.assign(entry, { status: 'failed', provider: getProviderName(), error: error.message });
+    }
+
+    await Team.updateOne(
+        { _id: team._id },
+        { $push: { 'members.$[m].email_notifications': entry } },
+        { arrayFilters: [{ 'm._id': member._id }] }
+    );
+
+    if (entry.status === 'failed') {
+        throw new Error(entry.error);
+    }
+    return result;
+}
+
+module.exports = {
+    getProviderName,
+    sendMail,
+    sendMemberEmail
+};
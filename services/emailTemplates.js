@@ -0,0 +1,88 @@
+/**
+ * Email templates for team notifications.
+ * Each template takes (team, member) and returns { subject, html, text }.
+ */
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', { dateStyle: 'long' });
+
+/**
+ * Reason recorded with the team's latest move to the given status
+ */
+function latestReason(team, status) {
+    const entry = (team.status_history || []).filter(h => h.to === status).pop();
+    return entry && entry.reason ? entry.reason : '';
+}
+
+/**
+ * Wrap body paragraphs in the shared layout
+ */
+function layout(member, paragraphs) {
+    const greeting = `Namaskaram ${member.name},`;
+    const html = `
+<div style="font-family: Arial, sans-serif; max-width: 600px; color: #333;">
+    <h2 style="color: #b45309;">TTD Team Registration</h2>
+    <p>${escapeHtml(greeting)}</p>
+    ${paragraphs.map(p => `<p>${escapeHtml(p)}</p>`).join('\n    ')}
+    <p style="color: #888; font-size: 12px;">This is an automated message, please do not reply.</p>
+</div>`;
+    const text = [greeting, '', ...paragraphs, '', 'This is an automated message, please do not reply.'].join('\n');
+    return { html, text };
+}
+
+const templates = {
+    registration_received(team, member) {
+        return {
+            subject: `Registration received - ${team.team_name}`,
+            ...layout(member, [
+                `Your team "${team.team_name}" has been registered with ${team.members_count} members.`,
+                `Reference number: ${team.reference_number || '-'}`,
+                'Our team will review the registration and you will be notified once it is verified.'
+            ])
+        };
+    },
+
+    verified(team, member) {
+        return {
+            subject: `Registration verified - ${team.team_name}`,
+            ...layout(member, [
+                `Good news! The registration of team "${team.team_name}" has been verified.`,
+                `Reference number: ${team.reference_number || '-'}`,
+                'You will be notified again once a darshan slot is allotted to your team.'
+            ])
+        };
+    },
+
+    rejected(team, member) {
+        const reason = latestReason(team, 'rejected');
+        return {
+            subject: `Registration not approved - ${team.team_name}`,
+            ...layout(member, [
+                `We are sorry, the registration of team "${team.team_name}" could not be approved.`,
+                ...(reason ? [`Reason: ${reason}`] : []),
+                'Please contact your team leader for details.'
+            ])
+        };
+    },
+
+    booked(team, member) {
+        const booking = team.booking || {};
+        return {
+            subject: `Darshan slot allotted - ${team.team_name}`,
+            ...layout(member, [
+                `A darshan slot has been allotted to team "${team.team_name}".`,
+                `Date: ${booking.date ? formatDate(booking.date) : '-'}`,
+                `Temple: ${booking.temple || '-'}`,
+                `Darshan: ${booking.darshan_type || '-'}`,
+                'Please carry your original Aadhaar card on the day of darshan.'
+            ])
+        };
+    }
+};
+
+module.exports = templates;
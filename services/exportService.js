@@ -0,0 +1,239 @@
+const fs = require('fs');
+const path = require('path');
+const JSZip = require('jszip');
+const { toCsv, toXlsx } = require('../utils/spreadsheet');
+const { isUploadedPhotoUrl, isLocalUploadPath } = require('../utils/cloudinary');
+
+const UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
+const PHOTO_TIMEOUT_MS = 15000;
+
+// Uploads are capped at 5 MB and resized on upload; anything bigger is not ours
+const PHOTO_MAX_BYTES = 8 * 1024 * 1024;
+
+// ============================================
+// COLUMNS
+// One row per member; value(team, member, sensitive, index)
+// ============================================
+const COLUMNS = {
+    team_name: { header: 'Team Name', value: (t) => t.team_name },
+    reference_number: { header: 'Reference Number', value: (t) => t.reference_number },
+    status: { header: 'Status', value: (t) => t.submission_status },
+    registered_at: { header: 'Registered At', value: (t) => t.created_at },
+    member_no: { header: 'Member No', value: (t, m, s, i) => i + 1 },
+    name: { header: 'Name', value: (t, m) => m.name },
+    dob: { header: 'Date of Birth', value: (t, m) => m.dob },
+    age: { header: 'Age', value: (t, m) => m.age },
+    gender: { header: 'Gender', value: (t, m) => m.gender },
+    id_proof_type: { header: 'ID Proof', value: (t, m) => m.id_proof_type },
+    aadhaar: { header: 'Aadhaar', value: (t, m, s) => (s ? s.id_number : m.id_number_masked) },
+    aadhaar_verified: { header: 'Aadhaar Verified', value: (t, m) => (m.aadhaar_verified ? 'Yes' : 'No') },
+    mobile: { header: 'Mobile', value: (t, m, s) => (s ? s.mobile : m.mobile_masked) },
+    email: { header: 'Email', value: (t, m) => m.email },
+    doorno: { header: 'Door No', value: (t, m) => m.doorno },
+    street: { header: 'Street', value: (t, m) => m.street },
+    city: { header: 'City', value: (t, m) => m.city },
+    district: { header: 'District', value: (t, m) => m.district },
+    state: { header: 'State', value: (t, m) => m.state },
+    pincode: { header: 'Pincode', value: (t, m) => m.pincode },
+    nearest_ttd_temple: { header: 'Nearest TTD Temple', value: (t, m) => m.nearest_ttd_temple },
+    photo: { header: 'Photo', value: (t, m) => m.photo || m.photo_path }
+};
+
+const DEFAULT_COLUMNS = [
+    'team_name', 'reference_number', 'status', 'member_no', 'name', 'dob', 'age', 'gender',
+    'aadhaar', 'aadhaar_verified', 'mobile', 'email', 'city', 'district', 'state', 'pincode',
+    'nearest_ttd_temple'
+];
+
+/**
+ * Resolve the `columns` query parameter (comma-separated keys)
+ * @returns {object} { columns } or { error }
+ */
+function resolveColumns(param) {
+    const keys = param
+        ? String(param).split(',').map(k => k.trim()).filter(Boolean)
+        : DEFAULT_COLUMNS;
+
+    const unknown = keys.filter(k => !COLUMNS[k]);
+    if (unknown.length) {
+        return { error: `Unknown column: ${unknown.join(', ')}` };
+    }
+    if (keys.length === 0) {
+        return { error: 'No columns selected' };
+    }
+    return { columns: [...new Set(keys)].map(key => ({ key, header: COLUMNS[key].header })) };
+}
+
+/**
+ * Flatten teams into member rows
+ * @param {boolean} unmasked - Decrypt Aadhaar and mobile (caller checks the role)
+ */
+function buildRows(teams, columns, unmasked) {
+    const rows = [];
+    for (const team of teams) {
+        team.members.forEach((member, index) => {
+            const sensitive = unmasked ? member.decryptSensitive() : null;
+            const row = {};
+            for (const { key } of columns) {
+                row[key] = COLUMNS[key].value(team, member, sensitive, index);
+            }
+            rows.push(row);
+        });
+    }
+    return rows;
+}
+
+/**
+ * Render rows as a spreadsheet
+ * @param {string} format - csv | xlsx
+ * @returns {Promise<Buffer>}
+ */
+async function renderSpreadsheet(format, columns, rows) {
+    if (format === 'xlsx') {
+        return toXlsx(columns, rows, 'Members');
+    }
+    return Buffer.from(toCsv(columns, rows), 'utf8');
+}
+
+// ============================================
+// PHOTO PACK
+// ============================================
+
+/**
+ * Make a string safe to use as a file or folder name inside a ZIP
+ */
+function safeFileName(value, fallback) {
+    const name = String(value || '')
+        .replace(/[\\/:*?"<>|\u0000-\u001F]/g, '')
+        .replace(/\s+/g, '_')
+        .replace(/^\.+/, '')
+        .slice(0, 80);
+    return name || fallback;
+}
+
+const EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp', 'image/gif': 'gif' };
+
+/**
+ * Read a response body, giving up once it passes maxBytes
+ */
+async function readLimited(response, maxBytes) {
+    const length = Number(response.headers.get('content-length'));
+    if (length > maxBytes) {
+        throw new Error(`Photo larger than ${maxBytes} bytes`);
+    }
+
+    const chunks = [];
+    let total = 0;
+    for await (const chunk of response.body) {
+        total += chunk.length;
+        if (total > maxBytes) {
+            throw new Error(`Photo larger than ${maxBytes} bytes`);
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Load a member photo from this app's Cloudinary folder or the local uploads
+ * folder. Any other URL a registrant entered is never fetched.
+ * @param {object} member - Team member
+ * @param {object} options - { maxBytes }
+ * @returns {Promise<object|null>} { data, ext } or null when unavailable
+ */
+async function loadPhoto(member, { maxBytes = PHOTO_MAX_BYTES } = {}) {
+    const source = member.photo || member.photo_path;
+    if (!source) return null;
+
+    if (isUploadedPhotoUrl(source)) {
+        const response = await fetch(source, { redirect: 'error', signal: AbortSignal.timeout(PHOTO_TIMEOUT_MS) });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const type = (response.headers.get('content-type') || '').split(';')[0].trim();
+        const urlExt = path.extname(new URL(source).pathname).slice(1).toLowerCase();
+        return {
+            data: await readLimited(response, maxBytes),
+            ext: EXTENSIONS[type] || urlExt || 'jpg'
+        };
+    }
+
+    if (!isLocalUploadPath(source)) {
+        throw new Error('Photo was not uploaded through the photo upload');
+    }
+
+    // Local uploads: stay inside the uploads folder
+    const file = path.resolve(UPLOADS_DIR, source.replace(/^\/?uploads\//, ''));
+    if (!file.startsWith(UPLOADS_DIR + path.sep)) {
+        throw new Error('Photo path outside uploads folder');
+    }
+    const stat = await fs.promises.stat(file);
+    if (stat.size > maxBytes) {
+        throw new Error(`Photo larger than ${maxBytes} bytes`);
+    }
+    return {
+        data: await fs.promises.readFile(file),
+        ext: path.extname(file).slice(1).toLowerCase() || 'jpg'
+    };
+}
+
+/**
+ * Build a ZIP with the member spreadsheet and every member photo, named
+ * photos/<team>/<nn>-<member name>.<ext>. Photos that cannot be fetched
+ * are listed in missing-photos.txt instead of failing the download.
+ *
+ * @param {Array} teams - Team documents
+ * @param {object} options - { format, columns, unmasked, baseName }
+ * @returns {Promise<object>} { stream, photos, missing }
+ */
+async function buildPhotoPack(teams, { format, columns, unmasked, baseName }) {
+    const zip = new JSZip();
+    const rows = buildRows(teams, columns, unmasked);
+    zip.file(`${baseName}.${format}`, await renderSpreadsheet(format, columns, rows));
+
+    const missing = [];
+    let photos = 0;
+    const usedFolders = new Set();
+
+    for (const team of teams) {
+        let folder = safeFileName(team.team_name, String(team._id));
+        if (usedFolders.has(folder)) folder = `${folder}_${team._id}`;
+        usedFolders.add(folder);
+
+        // One photo at a time keeps memory and Cloudinary load predictable
+        for (const [index, member] of team.members.entries()) {
+            const label = `${String(index + 1).padStart(2, '0')}-${safeFileName(member.name, 'member')}`;
+            try {
+                const photo = await loadPhoto(member);
+                if (!photo) {
+                    missing.push(`${folder}/${label}: no photo uploaded`);
+                    continue;
+                }
+                zip.file(`photos/${folder}/${label}.${photo.ext}`, photo.data, { compression: 'STORE' });
+                photos++;
+            } catch (error) {
+                missing.push(`${folder}/${label}: ${error.message}`);
+            }
+        }
+    }
+
+    if (missing.length) {
+        zip.file('missing-photos.txt', `${missing.join('\r\n')}\r\n`);
+    }
+
+    return {
+        stream: zip.generateNodeStream({ type: 'nodebuffer', streamFiles: true, compression: 'DEFLATE' }),
+        photos,
+        missing: missing.length
+    };
+}
+
+module.exports = {
+    COLUMNS,
+    DEFAULT_COLUMNS,
+    resolveColumns,
+    buildRows,
+    renderSpreadsheet,
+    loadPhoto,
+    buildPhotoPack
+};
@@ -0,0 +1,208 @@
+const NotificationJob = require('../models/NotificationJob');
+
+const BASE_DELAY_MS = Number(process.env.NOTIFICATION_RETRY_BASE_MS) || 30 * 1000;
+const MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+const BATCH_SIZE = 20;
+const MAX_KEPT_FAILURES = 10;
+
+// channel → type → async handler(payload); a handler throws to request a retry
+const handlers = {};
+
+let running = false;
+let timer = null;
+
+/**
+ * Register the handler for a channel/type pair
+ * @param {string} channel - telegram | email | sms
+ * @param {string} type - Event name, e.g. 'team.verified'
+ * @param {Function} handler - async (payload) => result
+ */
+function registerHandler(channel, type, handler) {
+    handlers[channel] = handlers[channel] || {};
+    handlers[channel][type] = handler;
+}
+
+/**
+ * Exponential backoff with jitter: base, 2×base, 4×base … capped at 6 hours
+ * @param {number} attempts - Attempts made so far (≥ 1)
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(attempts) {
+    const delay = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempts - 1));
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Queue a notification. Enqueueing an existing idempotency key is a no-op,
+ * so callers may safely repeat themselves.
+ * @returns {boolean} True if a new job was created
+ */
+async function enqueue({ channel, type, payload = {}, idempotencyKey, maxAttempts }) {
+    try {
+        const result = await NotificationJob.updateOne(
+            { idempotency_key: idempotencyKey },
+            {
+                $setOnInsert: {
+                    channel,
+                    type,
+                    payload,
+                    idempotency_key: idempotencyKey,
+                    status: 'pending',
+                    attempts: 0,
+                    next_run_at: new Date(),
+                    ...(maxAttempts ? { max_attempts: maxAttempts } : {})
+                }
+            },
+            { upsert: true }
+        );
+
+        if (result.upsertedCount > 0) {
+            setImmediate(processDueJobs);
+            return true;
+        }
+        return false;
+    } catch (error) {
+        // Two concurrent upserts on the same key: the other one won
+        if (error.code === 11000) return false;
+        throw error;
+    }
+}
+
+/**
+ * Atomically claim the next due job (or one abandoned by a crashed worker)
+ */
+function claimNextJob() {
+    const now = new Date();
+    return NotificationJob.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'pending', next_run_at: { $lte: now } },
+                { status: 'processing', locked_at: { $lte: new Date(now - LOCK_TIMEOUT_MS) } }
+            ]
+        },
+        { $set: { status: 'processing', locked_at: now }, $inc: { attempts: 1 } },
+        { sort: { next_run_at: 1 }, new: true }
+    );
+}
+
+/**
+ * Run one claimed job and record the outcome. The outcome is only written
+ * while this worker still holds the lock: a job it took too long on may have
+ * been reclaimed by another worker since.
+ */
+async function runJob(job) {
+    const handler = handlers[job.channel] && handlers[job.channel][job.type];
+    const held = { _id: job._id, status: 'processing', locked_at: job.locked_at };
+
+    try {
+        if (!handler) {
+            throw new Error(`No handler registered for ${job.channel}/${job.type}`);
+        }
+
+        const result = await handler(job.payload || {});
+        await NotificationJob.updateOne(
+            held,
+            {
+                $set: { status: 'completed', completed_at: new Date(), result: result === undefined ? null : result },
+                $unset: { locked_at: 1 }
+            }
+        );
+    } catch (error) {
+        const dead = job.attempts >= job.max_attempts;
+        const recorded = await NotificationJob.updateOne(
+            held,
+            {
+                $set: {
+                    status: dead ? 'dead' : 'pending',
+                    last_error: error.message,
+                    next_run_at: new Date(Date.now() + backoffDelay(job.attempts))
+                },
+                $unset: { locked_at: 1 },
+                $push: { failures: { $each: [{ at: new Date(), message: error.message }], $slice: -MAX_KEPT_FAILURES } }
+            }
+        );
+
+        if (recorded.matchedCount === 0) {
+            console.error(`❌ Notification ${job.channel}/${job.type} failed after its lock was taken over:`, error.message);
+            return;
+        }
+
+        const label = dead ? '💀 dead-lettered' : `retry ${job.attempts}/${job.max_attempts}`;
+        console.error(`❌ Notification ${job.channel}/${job.type} failed (${label}):`, error.message);
+    }
+}
+
+/**
+ * Process due jobs until none are left (or a batch is done)
+ */
+async function processDueJobs() {
+    if (running) return;
+    running = true;
+
+    try {
+        for (let i = 0; i < BATCH_SIZE; i++) {
+            const job = await claimNextJob();
+            if (!job) break;
+            await runJob(job);
+        }
+    } catch (error) {
+        console.error('❌ Notification worker error:', error);
+    } finally {
+        running = false;
+    }
+}
+
+/**
+ * Poll for due jobs every NOTIFICATION_POLL_MS (default 5s)
+ */
+function startWorker() {
+    if (timer) return timer;
+
+    const interval = Number(process.env.NOTIFICATION_POLL_MS) || 5000;
+    timer = setInterval(processDueJobs, interval);
+    timer.unref();
+    processDueJobs();
+
+    console.log(`📮 Notification worker polling every ${interval / 1000}s`);
+    return timer;
+}
+
+/**
+ * Put a failed or dead job back on the queue with a fresh attempt budget
+ * @returns {object|null} Updated job, or null if not re-drivable
+ */
+async function redriveJob(jobId) {
+    const job = await NotificationJob.findOneAndUpdate(
+        { _id: jobId, status: { $in: ['pending', 'dead'] }, attempts: { $gt: 0 } },
+        { $set: { status: 'pending', attempts: 0, next_run_at: new Date() } },
+        { new: true }
+    );
+
+    if (job) setImmediate(processDueJobs);
+    return job;
+}
+
+/**
+ * Re-drive every dead job matching the filter
+ * @returns {number} Jobs put back on the queue
+ */
+async function redriveDeadJobs(filter = {}) {
+    const result = await NotificationJob.updateMany(
+        { ...filter, status: 'dead' },
+        { $set: { status: 'pending', attempts: 0, next_run_at: new Date() } }
+    );
+
+    if (result.modifiedCount > 0) setImmediate(processDueJobs);
+    return result.modifiedCount;
+}
+
+module.exports = {
+    registerHandler,
+    enqueue,
+    backoffDelay,
+    processDueJobs,
+    startWorker,
+    redriveJob,
+    redriveDeadJobs
+};
@@ -0,0 +1,188 @@
+const Team = require('../models/Team');
+const { enqueue, registerHandler } = require('./notificationQueue');
+const telegram = require('./telegramService');
+const { getProviderName, sendMemberEmail } = require('./emailService');
+const sms = require('./smsService');
+
+// ============================================
+// EVENTS
+// Which channels each team event fans out to
+// ============================================
+const EVENTS = {
+    registered: { telegram: true, email: 'registration_received', sms: 'registration_received' },
+    verified: { telegram: true, email: 'verified', sms: 'verified' },
+    rejected: { email: 'rejected', sms: 'rejected' },
+    booked: { email: 'booked', sms: 'booked' },
+    deleted: { telegram: true }
+};
+
+/**
+ * Distinguishes repeated occurrences of the same event on a team (e.g. a team
+ * verified, sent back to review and verified again) so each one is delivered once.
+ */
+function occurrenceKey(team, event) {
+    if (event === 'deleted') {
+        return team.deleted_at ? new Date(team.deleted_at).getTime() : 'unknown';
+    }
+    return (team.status_history || []).length;
+}
+
+/**
+ * Load the team a job refers to; queued jobs always work on fresh data
+ * @returns {Promise<object|null>} null once the team is deleted (nothing to retry)
+ */
+function loadTeam(teamId, { includeDeleted = false } = {}) {
+    const filter = includeDeleted ? { _id: teamId } : { _id: teamId, deleted_at: null };
+    return Team.findOne(filter);
+}
+
+const TEAM_GONE = { skipped: 'team not found or deleted' };
+
+/**
+ * Telegram helpers return { success: false } instead of throwing
+ */
+async function deliverTelegram(send) {
+    if (!telegram.isConfigured()) {
+        return { skipped: 'telegram not configured' };
+    }
+
+    const result = await send();
+    if (!result || !result.success) {
+        throw new Error((result && result.error) || 'Telegram delivery failed');
+    }
+    return { delivered: true };
+}
+
+// ============================================
+// HANDLERS
+// ============================================
+registerHandler('telegram', 'team.registered', async ({ team_id }) => {
+    const team = await loadTeam(team_id);
+    if (!team) return TEAM_GONE;
+    return deliverTelegram(() => telegram.sendNewTeamNotification(team));
+});
+
+registerHandler('telegram', 'team.verified', async ({ team_id }) => {
+    const team = await loadTeam(team_id);
+    if (!team) return TEAM_GONE;
+    return deliverTelegram(() => telegram.sendTeamVerifiedNotification(team));
+});
+
+registerHandler('telegram', 'team.deleted', async ({ team_id, team_name }) => {
+    return deliverTelegram(() => telegram.sendTeamDeletedNotification(team_name, team_id));
+});
+
+registerHandler('email', 'team.member', async ({ team_id, member_id, template }) => {
+    if (!getProviderName()) {
+        return { skipped: 'email not configured' };
+    }
+
+    const team = await loadTeam(team_id);
+    if (!team) return TEAM_GONE;
+    const member = team.members.id(member_id);
+    if (!member || !member.email) {
+        return { skipped: 'member has no email address' };
+    }
+
+    return sendMemberEmail(team, member, template);
+});
+
+registerHandler('sms', 'team.member', async ({ team_id, member_id, template }) => {
+    if (!sms.getProviderName()) {
+        return { skipped: 'sms not configured' };
+    }
+
+    const team = await loadTeam(team_id);
+    if (!team) return TEAM_GONE;
+    const index = team.members.findIndex(m => String(m._id) === member_id);
+    if (index === -1) {
+        return { skipped: 'member not found' };
+    }
+
+    // Family members often share a phone: only the first member with a number gets the SMS
+    const numbers = team.members.slice(0, index + 1).map(m => sms.normaliseMobile(m.decryptSensitive().mobile));
+    const number = numbers[index];
+    if (!number) {
+        return { skipped: 'member has no valid mobile number' };
+    }
+    if (numbers.indexOf(number) < index) {
+        return { skipped: 'number already notified via another member' };
+    }
+
+    const result = await sms.sendSms({ to: number, event: template, vars: { team }, team, member: team.members[index] });
+    if (!result.success) {
+        return { skipped: result.message };
+    }
+    return { provider: result.provider, message_id: result.message_id };
+});
+
+/**
+ * Queue every notification for a team event. Never throws: a failure to
+ * enqueue is logged so it can't break the request that triggered it.
+ *
+ * @param {object} team - Team document (after the change)
+ * @param {string} event - registered | verified | rejected | booked | deleted
+ * @returns {number} Number of jobs newly queued
+ */
+async function notifyTeamEvent(team, event) {
+    const config = EVENTS[event];
+    if (!config) {
+        console.error(`❌ Unknown notification event "${event}"`);
+        return 0;
+    }
+
+    const teamId = team._id.toString();
+    const occurrence = occurrenceKey(team, event);
+    const jobs = [];
+
+    if (config.telegram) {
+        jobs.push({
+            channel: 'telegram',
+            type: `team.${event}`,
+            payload: { team_id: teamId, team_name: team.team_name },
+            idempotencyKey: `telegram:${event}:${teamId}:${occurrence}`
+        });
+    }
+
+    if (config.email) {
+        for (const member of team.members) {
+            if (!member.email) continue;
+            const memberId = member._id.toString();
+            jobs.push({
+                channel: 'email',
+                type: 'team.member',
+                payload: { team_id: teamId, member_id: memberId, template: config.email },
+                idempotencyKey: `email:${event}:${teamId}:${memberId}:${occurrence}`
+            });
+        }
+    }
+
+    if (config.sms) {
+        for (const member of team.members) {
+            if (!member.mobile_encrypted) continue;
+            const memberId = member._id.toString();
+            jobs.push({
+                channel: 'sms',
+                type: 'team.member',
+                payload: { team_id: teamId, member_id: memberId, template: config.sms },
+                idempotencyKey: `sms:${event}:${teamId}:${memberId}:${occurrence}`
+            });
+        }
+    }
+
+    let queued = 0;
+    for (const job of jobs) {
+        try {
+            if (await enqueue(job)) queued++;
+        } catch (error) {
+            console.error(`❌ Failed to queue ${job.idempotencyKey}:`, error);
+        }
+    }
+
+    return queued;
+}
+
+module.exports = {
+    EVENTS,
+    notifyTeamEvent
+};
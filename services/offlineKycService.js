@@ -0,0 +1,288 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { DOMParser } = require('@xmldom/xmldom');
+const { SignedXml } = require('xml-crypto');
+const { extractZip, ZipError } = require('../utils/zipReader');
+
+// ============================================
+// UIDAI CERTIFICATES
+// Public certificates UIDAI signs offline e-KYC XML and Secure QR codes with
+// (.cer/.crt/.pem, PEM or DER), from UIDAI_CERT_DIR (default: certs/uidai)
+// ============================================
+const CERT_DIR = process.env.UIDAI_CERT_DIR || path.join(__dirname, '..', 'certs', 'uidai');
+
+// A downloaded e-KYC XML stays valid this long, so a leaked file cannot be replayed forever
+const XML_MAX_AGE_DAYS = Number(process.env.OFFLINE_KYC_MAX_AGE_DAYS) || 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let certificates = null;
+
+function loadCertificates() {
+    if (certificates) return certificates;
+
+    certificates = [];
+    if (!fs.existsSync(CERT_DIR)) return certificates;
+
+    for (const file of fs.readdirSync(CERT_DIR)) {
+        if (!/\.(cer|crt|pem)$/i.test(file)) continue;
+        try {
+            const cert = new crypto.X509Certificate(fs.readFileSync(path.join(CERT_DIR, file)));
+            certificates.push({ file, pem: cert.toString(), publicKey: cert.publicKey });
+        } catch (error) {
+            console.error(`❌ Could not load UIDAI certificate ${file}:`, error.message);
+        }
+    }
+    return certificates;
+}
+
+function isConfigured() {
+    return loadCertificates().length > 0;
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * UIDAI reference IDs are the last 4 Aadhaar digits followed by the
+ * generation time (YYYYMMDDHHMMSSsss)
+ */
+function parseReferenceId(referenceId) {
+    const ref = String(referenceId || '');
+    const match = ref.match(/^(\d{4})(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})/);
+    return {
+        reference_id: ref,
+        aadhaar_last4: ref.slice(0, 4),
+        generated_at: match
+            ? new Date(Date.UTC(match[2], match[3] - 1, match[4], match[5], match[6], match[7]) - 330 * 60 * 1000)
+            : undefined
+    };
+}
+
+/**
+ * Normalise DD-MM-YYYY, DD/MM/YYYY or YYYY-MM-DD to YYYY-MM-DD
+ */
+function normaliseDate(value) {
+    const text = String(value || '').trim();
+    let match = text.match(/^(\d{2})[-/](\d{2})[-/](\d{4})$/);
+    if (match) return `${match[3]}-${match[2]}-${match[1]}`;
+    match = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : '';
+}
+
+const normaliseName = (value) => String(value || '').toLowerCase().replace(/[^a-z]+/g, ' ').trim();
+
+const GENDERS = { m: 'M', male: 'M', f: 'F', female: 'F', t: 'T', other: 'T', transgender: 'T' };
+const normaliseGender = (value) => GENDERS[String(value || '').trim().toLowerCase()] || '';
+
+// ============================================
+// OFFLINE E-KYC XML
+// ============================================
+
+/**
+ * Verify a UIDAI offline e-KYC XML document generated within XML_MAX_AGE_DAYS
+ * @param {string} xml - XML text
+ * @returns {object} { success, data: { name, dob, gender, aadhaar_last4, reference_id, generated_at } }
+ *                   or { success: false, status, message }
+ */
+function verifyOfflineXml(xml) {
+    const certs = loadCertificates();
+    if (certs.length === 0) {
+        return { success: false, status: 503, message: 'Offline Aadhaar verification is not configured' };
+    }
+
+    let document;
+    try {
+        document = new DOMParser({ errorHandler: { error: () => { throw new Error('Malformed XML'); } } })
+            .parseFromString(xml, 'text/xml');
+    } catch (error) {
+        return { success: false, status: 400, message: 'File is not a valid offline e-KYC XML' };
+    }
+
+    const signature = document.getElementsByTagNameNS('http://www.w3.org/2000/09/xmldsig#', 'Signature')[0];
+    if (!signature) {
+        return { success: false, status: 400, message: 'Offline e-KYC XML is not signed' };
+    }
+
+    let signedXml = null;
+    for (const cert of certs) {
+        // Never trust a certificate embedded in the document itself
+        const verifier = new SignedXml({ publicCert: cert.pem, getCertFromKeyInfo: () => null });
+        try {
+            verifier.loadSignature(signature);
+            if (verifier.checkSignature(xml)) {
+                signedXml = verifier.getSignedReferences()[0];
+                break;
+            }
+        } catch (error) {
+            // Try the next certificate
+        }
+    }
+
+    if (!signedXml) {
+        return { success: false, status: 422, message: 'UIDAI signature is invalid' };
+    }
+
+    // Read only what the signature covers
+    const signed = new DOMParser().parseFromString(signedXml, 'text/xml');
+    const root = signed.documentElement;
+    const poi = signed.getElementsByTagName('Poi')[0];
+    if (!root || root.localName !== 'OfflinePaperlessKyc' || !poi) {
+        return { success: false, status: 400, message: 'Unexpected offline e-KYC XML format' };
+    }
+
+    const reference = parseReferenceId(root.getAttribute('referenceId'));
+    const age = reference.generated_at ? Date.now() - reference.generated_at.getTime() : NaN;
+    if (!(age <= XML_MAX_AGE_DAYS * DAY_MS) || age < -DAY_MS) {
+        return {
+            success: false,
+            status: 422,
+            message: `Offline e-KYC file must be downloaded within the last ${XML_MAX_AGE_DAYS} days; please download a fresh one`
+        };
+    }
+
+    return {
+        success: true,
+        data: {
+            name: poi.getAttribute('name'),
+            dob: poi.getAttribute('dob'),
+            gender: poi.getAttribute('gender'),
+            ...reference
+        }
+    };
+}
+
+/**
+ * Extract and verify the XML inside an offline e-KYC ZIP
+ * @param {Buffer} zip - ZIP file downloaded from the UIDAI portal
+ * @param {string} shareCode - 4-character share code chosen at download
+ */
+function verifyOfflineZip(zip, shareCode) {
+    let files;
+    try {
+        files = extractZip(zip, String(shareCode || ''));
+    } catch (error) {
+        if (error instanceof ZipError) {
+            const wrongCode = /password/i.test(error.message);
+            return { success: false, status: 400, message: wrongCode ? 'Incorrect share code' : 'File is not a valid offline e-KYC ZIP' };
+        }
+        throw error;
+    }
+
+    const xmlName = Object.keys(files).find(name => name.toLowerCase().endsWith('.xml'));
+    if (!xmlName) {
+        return { success: false, status: 400, message: 'No XML found in the offline e-KYC ZIP' };
+    }
+    return verifyOfflineXml(files[xmlName].toString('utf8'));
+}
+
+// ============================================
+// SECURE QR
+// ============================================
+
+// Field order after the reference ID (V2+ codes start with a version field
+// and the email/mobile indicator)
+const QR_FIELDS = ['name', 'dob', 'gender'];
+
+// A QR code holds at most 7089 digits; a real Secure QR inflates to a few KB
+const QR_MAX_DIGITS = 7089;
+const QR_MAX_BYTES = 64 * 1024;
+
+/**
+ * Verify the Secure QR printed on Aadhaar letters / e-Aadhaar
+ * @param {string} qrData - Decimal number read from the QR code
+ * @returns {object} Same shape as verifyOfflineXml
+ */
+function verifySecureQr(qrData) {
+    const certs = loadCertificates();
+    if (certs.length === 0) {
+        return { success: false, status: 503, message: 'Offline Aadhaar verification is not configured' };
+    }
+
+    const text = String(qrData || '').trim();
+    if (!/^\d+$/.test(text) || text.length < 100 || text.length > QR_MAX_DIGITS) {
+        return { success: false, status: 400, message: 'Not an Aadhaar Secure QR code' };
+    }
+
+    let data;
+    try {
+        let hex = BigInt(text).toString(16);
+        if (hex.length % 2) hex = `0${hex}`;
+        data = zlib.gunzipSync(Buffer.from(hex, 'hex'), { maxOutputLength: QR_MAX_BYTES });
+    } catch (error) {
+        // Includes ERR_BUFFER_TOO_LARGE for anything inflating past QR_MAX_BYTES
+        return { success: false, status: 400, message: 'Not an Aadhaar Secure QR code' };
+    }
+
+    // The last 256 bytes are an RSA-SHA256 signature over everything before them
+    if (data.length <= 256) {
+        return { success: false, status: 400, message: 'Not an Aadhaar Secure QR code' };
+    }
+    const signedBytes = data.subarray(0, data.length - 256);
+    const signatureBytes = data.subarray(data.length - 256);
+
+    const valid = certs.some(cert => crypto.verify('sha256', signedBytes, cert.publicKey, signatureBytes));
+    if (!valid) {
+        return { success: false, status: 422, message: 'UIDAI signature is invalid' };
+    }
+
+    const fields = [];
+    for (let start = 0, i = 0; i <= signedBytes.length; i++) {
+        if (i === signedBytes.length || signedBytes[i] === 255) {
+            fields.push(signedBytes.toString('latin1', start, i));
+            start = i + 1;
+        }
+    }
+
+    // V2 onwards: [version, indicator, referenceId, name, dob, gender, ...]
+    // V1:         [indicator, referenceId, name, dob, gender, ...]
+    const offset = /^V\d+$/.test(fields[0]) ? 2 : 1;
+    const result = parseReferenceId(fields[offset]);
+    QR_FIELDS.forEach((key, i) => { result[key] = fields[offset + 1 + i]; });
+
+    return { success: true, data: result };
+}
+
+// ============================================
+// CROSS-CHECK
+// ============================================
+
+/**
+ * Compare verified UIDAI data with a member record
+ * @param {object} kyc - data from verifyOfflineXml / verifySecureQr
+ * @param {object} member - { name, dob, gender, aadhaar } (aadhaar decrypted)
+ * @returns {object} { matches, mismatches, evidence }
+ */
+function crossCheck(kyc, member) {
+    const checks = {
+        aadhaar_last4: String(member.aadhaar || '').slice(-4) === kyc.aadhaar_last4,
+        name: !!normaliseName(kyc.name) && normaliseName(kyc.name) === normaliseName(member.name),
+        dob: !!normaliseDate(kyc.dob) && normaliseDate(kyc.dob) === normaliseDate(member.dob),
+        gender: !!normaliseGender(kyc.gender) && normaliseGender(kyc.gender) === normaliseGender(member.gender)
+    };
+
+    // Members registered without a DOB or gender are matched on what they have
+    if (!member.dob) delete checks.dob;
+    if (!member.gender) delete checks.gender;
+
+    const mismatches = Object.keys(checks).filter(key => !checks[key]);
+    return {
+        matches: mismatches.length === 0,
+        mismatches,
+        evidence: {
+            reference_id: kyc.reference_id,
+            generated_at: kyc.generated_at,
+            checks
+        }
+    };
+}
+
+module.exports = {
+    isConfigured,
+    verifyOfflineXml,
+    verifyOfflineZip,
+    verifySecureQr,
+    crossCheck
+};
@@ -0,0 +1,88 @@
+const Team = require('../models/Team');
+const PhotoUpload = require('../models/PhotoUpload');
+const { cloudinary, publicIdFromUrl, isUploadedPhotoUrl } = require('../utils/cloudinary');
+
+/**
+ * Remember a Cloudinary upload so its asset can be removed later
+ * @param {object} file - multer-storage-cloudinary file (filename is the public ID)
+ * @param {object} options - { ip }
+ */
+async function recordUpload(file, { ip } = {}) {
+    await PhotoUpload.create({ public_id: file.filename, url: file.path, uploaded_by_ip: ip });
+}
+
+/**
+ * Claim the uploads a team's members use for that team.
+ * Uploads already claimed by another team are left alone.
+ * @returns {Promise<number>} Uploads newly claimed
+ */
+async function claimTeamPhotos(team) {
+    const urls = [...new Set(team.members.flatMap(m => [m.photo_path, m.photo]).filter(Boolean))];
+    if (urls.length === 0) return 0;
+
+    const result = await PhotoUpload.updateMany(
+        { url: { $in: urls }, team: null },
+        { $set: { team: team._id, claimed_at: new Date() } }
+    );
+    return result.modifiedCount;
+}
+
+/**
+ * Public IDs of a team's photos uploaded before uploads were recorded.
+ * Only URLs in this account's upload folder count, and only while no
+ * upload record and no other team refers to them.
+ */
+async function legacyPhotoIds(team) {
+    const urls = [...new Set(team.members.flatMap(m => [m.photo_path, m.photo]).filter(isUploadedPhotoUrl))];
+    if (urls.length === 0) return [];
+
+    const [recorded, shared] = await Promise.all([
+        PhotoUpload.find({ public_id: { $in: urls.map(publicIdFromUrl) } }).distinct('public_id'),
+        Team.find({
+            _id: { $ne: team._id },
+            $or: [{ 'members.photo_path': { $in: urls } }, { 'members.photo': { $in: urls } }]
+        }).select('members.photo_path members.photo')
+    ]);
+    const sharedUrls = new Set(shared.flatMap(t => t.members.flatMap(m => [m.photo_path, m.photo])));
+
+    const ids = urls.filter(url => !sharedUrls.has(url)).map(publicIdFromUrl);
+    return [...new Set(ids)].filter(id => !recorded.includes(id));
+}
+
+/**
+ * Remove a team's photos from Cloudinary: the uploads it claimed, and
+ * photos uploaded before uploads were recorded
+ * @returns {Promise<object>} { removed, failed }
+ */
+async function destroyTeamPhotos(team) {
+    const uploads = await PhotoUpload.find({ team: team._id });
+    const legacyIds = await legacyPhotoIds(team);
+    let removed = 0;
+    let failed = 0;
+
+    const destroy = async (publicId, done) => {
+        try {
+            await cloudinary.uploader.destroy(publicId);
+            if (done) await done();
+            removed++;
+        } catch (error) {
+            console.error(`❌ Failed to delete photo ${publicId}:`, error.message);
+            failed++;
+        }
+    };
+
+    for (const upload of uploads) {
+        await destroy(upload.public_id, () => upload.deleteOne());
+    }
+    for (const publicId of legacyIds) {
+        await destroy(publicId);
+    }
+
+    return { removed, failed };
+}
+
+module.exports = {
+    recordUpload,
+    claimTeamPhotos,
+    destroyTeamPhotos
+};
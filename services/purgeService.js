@@ -0,0 +1,84 @@
+const Team = require('../models/Team');
+const AuditLog = require('../models/AuditLog');
+const { destroyTeamPhotos } = require('./photoService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Days a soft-deleted team stays in the trash before it is purged
+ */
+function getRetentionDays() {
+    const days = Number(process.env.TEAM_RETENTION_DAYS);
+    return Number.isFinite(days) && days >= 0 ? days : 30;
+}
+
+/**
+ * Date at which a team deleted at `deletedAt` becomes eligible for purge
+ */
+function purgeDate(deletedAt) {
+    return new Date(new Date(deletedAt).getTime() + getRetentionDays() * DAY_MS);
+}
+
+/**
+ * Permanently delete teams whose retention period has passed,
+ * together with their members' photos.
+ * Teams whose photos could not all be removed are kept for the next run.
+ * @returns {object} { purged, skipped }
+ */
+async function purgeDeletedTeams() {
+    const cutoff = new Date(Date.now() - getRetentionDays() * DAY_MS);
+    const teams = await Team.find({ deleted_at: { $ne: null, $lte: cutoff } });
+
+    let purged = 0;
+    let skipped = 0;
+
+    for (const team of teams) {
+        const photos = await destroyTeamPhotos(team);
+        if (photos.failed > 0) {
+            skipped++;
+            continue;
+        }
+
+        await Team.deleteOne({ _id: team._id, deleted_at: { $ne: null } });
+        await AuditLog.create({
+            actor: { username: 'system' },
+            action: 'team.purge',
+            team: team._id,
+            team_name: team.team_name,
+            metadata: { deleted_at: team.deleted_at, deleted_by: team.deleted_by, photos_removed: photos.removed }
+        });
+        purged++;
+    }
+
+    if (teams.length > 0) {
+        console.log(`🧹 Purge: ${purged} teams removed, ${skipped} kept for retry`);
+    }
+
+    return { purged, skipped };
+}
+
+/**
+ * Run the purge periodically (PURGE_INTERVAL_HOURS, default 24)
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+function schedulePurge() {
+    const hours = Number(process.env.PURGE_INTERVAL_HOURS) || 24;
+
+    const run = () => purgeDeletedTeams().catch(error => {
+        console.error('❌ Purge error:', error);
+    });
+
+    const timer = setInterval(run, hours * 60 * 60 * 1000);
+    timer.unref();
+    run();
+
+    console.log(`🧹 Trash purge scheduled every ${hours}h (retention ${getRetentionDays()} days)`);
+    return timer;
+}
+
+module.exports = {
+    getRetentionDays,
+    purgeDate,
+    purgeDeletedTeams,
+    schedulePurge
+};
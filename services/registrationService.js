@@ -0,0 +1,167 @@
+const { body, validationResult } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+const Team = require('../models/Team');
+const {
+    processMembers,
+    conflictErrors,
+    aadhaarConflictMessage,
+    isAadhaarIndexError
+} = require('../utils/memberValidator');
+const { getRules, teamSizeError, registrationWindowError } = require('../utils/registrationRules');
+const { bindVerification } = require('./verificationService');
+const { notifyTeamEvent } = require('./notificationService');
+const { claimTeamPhotos } = require('./photoService');
+
+// ============================================
+// RATE LIMIT - Shared by POST /api/teams and draft finalisation
+// The limit follows the registration rules; a new window length starts
+// a fresh limiter (and so resets the counts).
+// ============================================
+let submitWindow = { minutes: null, limiter: null };
+
+function submitLimiter(req, res, next) {
+    const minutes = getRules().submit_limit.window_minutes;
+    if (submitWindow.minutes !== minutes) {
+        submitWindow = {
+            minutes,
+            limiter: rateLimit({
+                windowMs: minutes * 60 * 1000,
+                max: () => getRules().submit_limit.max,
+                message: 'Too many submissions from this IP, try again later.',
+                standardHeaders: true,
+                legacyHeaders: false,
+                trustProxy: true,
+                keyGenerator: (req) => req.ip,
+                validate: { creationStack: false }
+            })
+        };
+    }
+    return submitWindow.limiter(req, res, next);
+}
+
+// ============================================
+// VALIDATION (limits from the registration rules)
+// ============================================
+const checkTeamSize = (value) => {
+    const error = teamSizeError(Array.isArray(value) ? value.length : Number(value));
+    if (error) throw new Error(error);
+    return true;
+};
+
+const teamValidation = [
+    body('team_name').trim().notEmpty(),
+    body('members_count').custom(checkTeamSize),
+    body('consent_given').equals('true'),
+    body('members').isArray().bail().custom(checkTeamSize)
+];
+
+/**
+ * Run teamValidation against a registration that did not come in as a
+ * request body (e.g. a finalised draft)
+ * @returns {Promise<Array>} express-validator errors, empty when valid
+ */
+async function validateRegistration(input) {
+    const req = { body: { ...input } };
+    for (const chain of teamValidation) {
+        await chain.run(req);
+    }
+    return validationResult(req).array();
+}
+
+// ============================================
+// REGISTER
+// ============================================
+
+/**
+ * Create a team from a validated registration (see teamValidation).
+ * Members verified by Aadhaar OTP beforehand carry a verification_id.
+ *
+ * @param {object} input - { team_name, members_count, members, consent_given }
+ * @param {object} options - { ip }
+ * @returns {Promise<object>} { success, team, aadhaar_verification }
+ *                            or { success: false, status, message, conflicts?, memberErrors?, teamErrors? }
+ *                            (memberErrors: { [memberIndex]: { [field]: message } })
+ */
+async function registerTeam(input, { ip }) {
+    const { team_name, members_count, members, consent_given } = input;
+
+    const closed = registrationWindowError();
+    if (closed) {
+        return { success: false, status: 403, message: closed };
+    }
+
+    const nameExists = await Team.findOne({ team_name });
+    if (nameExists) {
+        return { success: false, status: 400, message: 'Team name already exists' };
+    }
+
+    const processed = processMembers(members);
+    if (!processed.valid) {
+        return {
+            success: false,
+            status: 400,
+            message: processed.message,
+            memberErrors: processed.errors,
+            teamErrors: processed.teamErrors
+        };
+    }
+
+    const conflicts = await Team.findAadhaarConflicts(processed.members);
+    if (conflicts.length > 0) {
+        return {
+            success: false,
+            status: 409,
+            message: aadhaarConflictMessage(conflicts),
+            conflicts,
+            memberErrors: conflictErrors(conflicts)
+        };
+    }
+
+    const team = new Team({
+        team_name,
+        members_count,
+        reference_number: await Team.generateReferenceNumber(),
+        members: processed.members,
+        submission_status: 'pending',
+        consent_given: String(consent_given) === 'true',
+        submitted_by_ip: ip
+    });
+
+    try {
+        await team.save();
+    } catch (error) {
+        if (isAadhaarIndexError(error)) {
+            const raced = await Team.findAadhaarConflicts(processed.members);
+            return {
+                success: false,
+                status: 409,
+                message: aadhaarConflictMessage(raced),
+                conflicts: raced,
+                memberErrors: conflictErrors(raced)
+            };
+        }
+        throw error;
+    }
+
+    await claimTeamPhotos(team);
+
+    const aadhaarVerification = [];
+    for (let i = 0; i < team.members.length; i++) {
+        const verificationId = members[i] && members[i].verification_id;
+        if (!verificationId) continue;
+
+        const bound = await bindVerification(verificationId, team, team.members[i]._id);
+        aadhaarVerification.push({ position: i + 1, verified: bound.success, message: bound.message });
+    }
+
+    await notifyTeamEvent(team, 'registered');
+
+    return { success: true, team, aadhaar_verification: aadhaarVerification };
+}
+
+module.exports = {
+    submitLimiter,
+    teamValidation,
+    validateRegistration,
+    registerTeam
+};
@@ -0,0 +1,76 @@
+const Setting = require('../models/Setting');
+const { DEFAULT_RULES, getRules, setRules, mergeRules } = require('../utils/registrationRules');
+
+const REGISTRATION_KEY = 'registration';
+
+// Other app instances pick up rule changes within this time
+const REFRESH_MINUTES = 1;
+
+/**
+ * Reload the registration rules from the settings collection.
+ * Stored rules are merged over the defaults, so settings added later
+ * start from their default value.
+ * @returns {Promise<object>} Rules in force
+ */
+async function refreshRules() {
+    const setting = await Setting.findOne({ key: REGISTRATION_KEY }).lean();
+    const merged = mergeRules(DEFAULT_RULES, (setting && setting.value) || {});
+    if (merged.errors) {
+        console.error('❌ Stored registration rules are invalid, keeping current rules:', merged.errors);
+        return getRules();
+    }
+    setRules(merged.rules);
+    return merged.rules;
+}
+
+/**
+ * Load the rules now and keep them fresh
+ */
+function scheduleRulesRefresh() {
+    const run = () => refreshRules().catch(error => {
+        console.error('❌ Registration rules refresh error:', error);
+    });
+
+    const timer = setInterval(run, REFRESH_MINUTES * 60 * 1000);
+    timer.unref();
+    run();
+
+    console.log(`📏 Registration rules refreshed every ${REFRESH_MINUTES} min`);
+    return timer;
+}
+
+/**
+ * Change some registration rules
+ * @param {object} update - Partial rules (see utils/registrationRules.js)
+ * @param {string} username - Admin making the change
+ * @returns {Promise<object>} { success, before, rules } or { success: false, status, message, errors }
+ */
+async function updateRules(update, username) {
+    const before = await refreshRules();
+    const merged = mergeRules(before, update);
+    if (merged.errors) {
+        return { success: false, status: 400, message: 'Invalid registration rules', errors: merged.errors };
+    }
+
+    await Setting.findOneAndUpdate(
+        { key: REGISTRATION_KEY },
+        { $set: { value: merged.rules, updated_by: username } },
+        { upsert: true }
+    );
+    setRules(merged.rules);
+    return { success: true, before, rules: merged.rules };
+}
+
+/**
+ * Go back to the built-in rules
+ */
+function resetRules(username) {
+    return updateRules(DEFAULT_RULES, username);
+}
+
+module.exports = {
+    refreshRules,
+    scheduleRulesRefresh,
+    updateRules,
+    resetRules
+};
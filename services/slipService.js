@@ -0,0 +1,242 @@
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const Slot = require('../models/Slot');
+const { loadPhoto } = require('./exportService');
+
+const STATUS_LABELS = {
+    pending: 'Pending',
+    under_review: 'Under Review',
+    verified: 'Verified',
+    rejected: 'Rejected',
+    booked: 'Darshan Booked'
+};
+
+// ============================================
+// SIGNED VERIFICATION LINK
+// The QR on the slip carries a signed link; the verify endpoint shows the
+// team's current status, so a slip for a team rejected later stops passing.
+// ============================================
+
+/**
+ * Sign a slip token for a team (no expiry, printed slips live long)
+ */
+function signSlipToken(team) {
+    if (!process.env.JWT_SECRET) {
+        throw new Error('JWT_SECRET is not configured');
+    }
+    return jwt.sign(
+        { sub: String(team._id), type: 'slip', ref: team.reference_number },
+        process.env.JWT_SECRET
+    );
+}
+
+/**
+ * @returns {object|null} { teamId, reference } or null when invalid
+ */
+function verifySlipToken(token) {
+    try {
+        const payload = jwt.verify(String(token || ''), process.env.JWT_SECRET);
+        return payload.type === 'slip' ? { teamId: payload.sub, reference: payload.ref } : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Public URL of GET /api/teams/slip/verify/:token
+ */
+function slipVerificationUrl(team) {
+    const base = (process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, '');
+    return `${base}/api/teams/slip/verify/${signSlipToken(team)}`;
+}
+
+// ============================================
+// PDF
+// ============================================
+const PAGE_MARGIN = 40;
+const ROW_HEIGHT = 66;
+const PHOTO_WIDTH = 48;
+const PHOTO_HEIGHT = 58;
+
+// Leaders can print their own slip, so photos are fetched with the same
+// upload-folder allow-list as exports and a tighter size cap for thumbnails
+const SLIP_PHOTO_MAX_BYTES = 3 * 1024 * 1024;
+
+// x offsets and widths of the member table columns
+const TABLE = [
+    { key: 'no', header: '#', x: 0, width: 22 },
+    { key: 'photo', header: 'Photo', x: 22, width: 58 },
+    { key: 'name', header: 'Name', x: 84, width: 140 },
+    { key: 'age', header: 'Age', x: 228, width: 30 },
+    { key: 'gender', header: 'Gender', x: 262, width: 50 },
+    { key: 'aadhaar', header: 'Aadhaar', x: 316, width: 92 },
+    { key: 'temple', header: 'Nearest TTD Temple', x: 412, width: 103 }
+];
+
+/**
+ * Fonts: Helvetica by default. Names in Indian scripts need a Unicode TTF
+ * (e.g. Noto Sans Telugu) set in SLIP_FONT_PATH.
+ */
+function applyFonts(doc) {
+    const fontPath = process.env.SLIP_FONT_PATH;
+    if (fontPath && fs.existsSync(fontPath)) {
+        doc.registerFont('body', fontPath);
+        doc.registerFont('bold', fontPath);
+    } else {
+        doc.registerFont('body', 'Helvetica');
+        doc.registerFont('bold', 'Helvetica-Bold');
+    }
+}
+
+/**
+ * Load member photos in order; pdfkit embeds only JPEG and PNG.
+ * Photos outside the upload folder or over the cap are left blank.
+ */
+async function loadPhotos(members) {
+    const photos = [];
+    for (const member of members) {
+        try {
+            const photo = await loadPhoto(member, { maxBytes: SLIP_PHOTO_MAX_BYTES });
+            photos.push(photo && ['jpg', 'jpeg', 'png'].includes(photo.ext) ? photo.data : null);
+        } catch (error) {
+            console.error(`❌ Slip photo for ${member.name}:`, error.message);
+            photos.push(null);
+        }
+    }
+    return photos;
+}
+
+function drawTableHeader(doc, top) {
+    doc.font('bold').fontSize(9).fillColor('#ffffff');
+    doc.rect(PAGE_MARGIN, top, 515, 18).fill('#b45309');
+    doc.fillColor('#ffffff');
+    TABLE.forEach(col => doc.text(col.header, PAGE_MARGIN + col.x + 2, top + 5, { width: col.width - 4 }));
+    doc.fillColor('#000000');
+    return top + 18;
+}
+
+function drawMemberRow(doc, top, member, index, photo) {
+    const x = (key) => PAGE_MARGIN + TABLE.find(c => c.key === key).x + 2;
+    const width = (key) => TABLE.find(c => c.key === key).width - 4;
+    const textTop = top + ROW_HEIGHT / 2 - 5;
+
+    if (index % 2) {
+        doc.rect(PAGE_MARGIN, top, 515, ROW_HEIGHT).fill('#fef3c7');
+        doc.fillColor('#000000');
+    }
+
+    if (photo) {
+        try {
+            doc.image(photo, x('photo'), top + 4, { fit: [PHOTO_WIDTH, PHOTO_HEIGHT], align: 'center', valign: 'center' });
+        } catch (error) {
+            photo = null; // Unreadable image data
+        }
+    }
+    if (!photo) {
+        doc.rect(x('photo'), top + 4, PHOTO_WIDTH, PHOTO_HEIGHT).lineWidth(0.5).stroke('#9ca3af');
+        doc.font('body').fontSize(7).fillColor('#6b7280')
+            .text('No photo', x('photo'), top + ROW_HEIGHT / 2 - 4, { width: PHOTO_WIDTH, align: 'center' });
+        doc.fillColor('#000000');
+    }
+
+    doc.font('body').fontSize(9);
+    doc.text(String(index + 1), x('no'), textTop, { width: width('no') });
+    doc.font('bold').text(member.name || '', x('name'), textTop, { width: width('name'), height: ROW_HEIGHT - 8, ellipsis: true });
+    doc.font('body');
+    doc.text(member.age ? String(member.age) : '-', x('age'), textTop, { width: width('age') });
+    doc.text(member.gender || '-', x('gender'), textTop, { width: width('gender') });
+    doc.text(member.id_number_masked || '-', x('aadhaar'), textTop, { width: width('aadhaar') });
+    doc.text(member.nearest_ttd_temple || '-', x('temple'), textTop, { width: width('temple'), height: ROW_HEIGHT - 8, ellipsis: true });
+}
+
+/**
+ * Render the registration slip for a team
+ * @param {object} team - Team document
+ * @returns {Promise<Buffer>} PDF
+ */
+async function renderSlip(team) {
+    const [qr, photos] = await Promise.all([
+        QRCode.toBuffer(slipVerificationUrl(team), { errorCorrectionLevel: 'M', margin: 1, width: 300 }),
+        loadPhotos(team.members)
+    ]);
+
+    const doc = new PDFDocument({
+        size: 'A4',
+        margin: PAGE_MARGIN,
+        bufferPages: true,
+        info: { Title: `Registration Slip ${team.reference_number || ''}`.trim(), Author: 'TTD Team Registration' }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const done = new Promise((resolve, reject) => {
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+
+    applyFonts(doc);
+
+    // Header
+    doc.font('bold').fontSize(18).fillColor('#b45309').text('TTD Team Registration', PAGE_MARGIN, PAGE_MARGIN);
+    doc.font('body').fontSize(10).fillColor('#6b7280').text('Registration Slip');
+    doc.fillColor('#000000');
+
+    // Team details (left) and QR (right)
+    const detailsTop = PAGE_MARGIN + 44;
+    const details = [
+        ['Team Name', team.team_name],
+        ['Reference Number', team.reference_number || '-'],
+        ['Status', STATUS_LABELS[team.submission_status] || team.submission_status],
+        ['Members', String(team.members.length)]
+    ];
+    if (team.booking && team.booking.date) {
+        details.push(['Darshan', `${Slot.istDay(team.booking.date)} · ${team.booking.temple || ''} ${team.booking.darshan_type ? `(${team.booking.darshan_type})` : ''}`.trim()]);
+    }
+
+    details.forEach(([label, value], i) => {
+        const y = detailsTop + i * 18;
+        doc.font('body').fontSize(10).fillColor('#6b7280').text(label, PAGE_MARGIN, y, { width: 110 });
+        doc.font('bold').fontSize(11).fillColor('#000000').text(value || '-', PAGE_MARGIN + 110, y - 1, { width: 270 });
+    });
+
+    doc.image(qr, PAGE_MARGIN + 415, detailsTop - 8, { width: 100 });
+    doc.font('body').fontSize(7).fillColor('#6b7280')
+        .text('Scan to verify', PAGE_MARGIN + 415, detailsTop + 94, { width: 100, align: 'center' });
+    doc.fillColor('#000000');
+
+    // Member table
+    let y = drawTableHeader(doc, detailsTop + 118);
+    const pageBottom = doc.page.height - PAGE_MARGIN - 30;
+
+    team.members.forEach((member, index) => {
+        if (y + ROW_HEIGHT > pageBottom) {
+            doc.addPage();
+            y = drawTableHeader(doc, PAGE_MARGIN);
+        }
+        drawMemberRow(doc, y, member, index, photos[index]);
+        y += ROW_HEIGHT;
+    });
+
+    // Footer on every page
+    const generated = `Generated ${new Date().toISOString().replace('T', ' ').slice(0, 16)} UTC. ` +
+        'Carry original Aadhaar cards for all members. Scan the QR code to confirm the current status of this registration.';
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+        doc.switchToPage(i);
+        doc.page.margins.bottom = 0; // Writing in the margin must not add a page
+        doc.font('body').fontSize(7).fillColor('#6b7280')
+            .text(generated, PAGE_MARGIN, doc.page.height - PAGE_MARGIN - 20, { width: 515, align: 'center', lineBreak: true });
+    }
+
+    doc.end();
+    return done;
+}
+
+module.exports = {
+    STATUS_LABELS,
+    signSlipToken,
+    verifySlipToken,
+    slipVerificationUrl,
+    renderSlip
+};
@@ -0,0 +1,196 @@
+const fs = require('fs');
+const SmsMessage = require('../models/SmsMessage');
+const templates = require('./smsTemplates');
+const { blindIndex } = require('../utils/encryption');
+const { mask } = require('../utils/memberValidator');
+
+const RATE_WINDOW_MS = 60 * 60 * 1000;
+
+// ============================================
+// PROVIDERS
+// SMS_PROVIDER: 'msg91', 'twilio', 'console', 'file'
+// Each provider sends { to: '91XXXXXXXXXX', text, dltTemplateId } and
+// resolves to the provider's message ID.
+// ============================================
+const providers = {
+    msg91() {
+        return async ({ to, text, dltTemplateId }) => {
+            const response = await fetch('https://api.msg91.com/api/v2/sendsms', {
+                method: 'POST',
+                headers: { authkey: process.env.MSG91_AUTH_KEY, 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    sender: process.env.SMS_SENDER_ID,
+                    route: '4',
+                    country: '91',
+                    DLT_TE_ID: dltTemplateId,
+                    sms: [{ message: text, to: [to.slice(2)] }]
+                }),
+                signal: AbortSignal.timeout(getTimeout())
+            });
+
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok || data.type !== 'success') {
+                throw new Error(data.message || `MSG91 responded with ${response.status}`);
+            }
+            return data.message;
+        };
+    },
+
+    twilio() {
+        const sid = process.env.TWILIO_ACCOUNT_SID;
+        const auth = Buffer.from(`${sid}:${process.env.TWILIO_AUTH_TOKEN}`).toString('base64');
+
+        return async ({ to, text }) => {
+            const form = new URLSearchParams({ To: `+${to}`, Body: text });
+            if (process.env.TWILIO_MESSAGING_SERVICE_SID) {
+                form.set('MessagingServiceSid', process.env.TWILIO_MESSAGING_SERVICE_SID);
+            } else {
+                form.set('From', process.env.TWILIO_FROM);
+            }
+
+            const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${sid}/Messages.json`, {
+                method: 'POST',
+                headers: { Authorization: `Basic ${auth}`, 'Content-Type': 'application/x-www-form-urlencoded' },
+                body: form,
+                signal: AbortSignal.timeout(getTimeout())
+            });
+
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(data.message || `Twilio responded with ${response.status}`);
+            }
+            return data.sid;
+        };
+    },
+
+    // Local testing: print messages instead of sending them
+    console() {
+        return async ({ to, text, dltTemplateId }) => {
+            console.log(`📱 SMS to ${to} [DLT ${dltTemplateId || '-'}]: ${text}`);
+            return `console-${Date.now()}`;
+        };
+    },
+
+    // Local testing: append messages as JSON lines to SMS_FILE
+    file() {
+        const file = process.env.SMS_FILE || 'sms-outbox.log';
+
+        return async ({ to, text, dltTemplateId }) => {
+            const id = `file-${Date.now()}`;
+            await fs.promises.appendFile(file, `${JSON.stringify({ id, to, dlt_template_id: dltTemplateId, text, at: new Date() })}\n`);
+            return id;
+        };
+    }
+};
+
+let activeProvider = null;
+
+function getTimeout() {
+    return Number(process.env.SMS_TIMEOUT_MS) || 10000;
+}
+
+/**
+ * Name of the configured provider, or null when SMS is not configured
+ */
+function getProviderName() {
+    const provider = process.env.SMS_PROVIDER;
+    return provider && providers[provider] ? provider : null;
+}
+
+function getProvider() {
+    const name = getProviderName();
+    if (!name) return null;
+
+    if (!activeProvider || activeProvider.name !== name) {
+        activeProvider = { name, send: providers[name]() };
+    }
+    return activeProvider;
+}
+
+/**
+ * Normalise an Indian mobile number to 91XXXXXXXXXX
+ * @returns {string|null} Normalised number, or null if invalid
+ */
+function normaliseMobile(mobile) {
+    let digits = String(mobile || '').replace(/\D/g, '');
+    if (digits.length === 11 && digits.startsWith('0')) digits = digits.slice(1);
+    if (digits.length === 10) digits = `91${digits}`;
+    return /^91[6-9]\d{9}$/.test(digits) ? digits : null;
+}
+
+/**
+ * Send a templated SMS, subject to SMS_RATE_LIMIT_PER_HOUR per number
+ * (default 5). Every attempt is logged in the SmsMessage collection.
+ *
+ * @param {object} options - { to, event, vars, team, member }
+ * @returns {object} { success: true, provider, message_id } or
+ *                   { success: false, status, message } for invalid/rate-limited numbers
+ * @throws when the provider fails to deliver
+ */
+async function sendSms({ to, event, vars = {}, team, member }) {
+    const template = templates[event];
+    if (!template) {
+        throw new Error(`Unknown SMS event "${event}"`);
+    }
+
+    const provider = getProvider();
+    if (!provider) {
+        throw new Error('SMS is not configured');
+    }
+
+    const number = normaliseMobile(to);
+    if (!number) {
+        return { success: false, status: 400, message: 'Invalid mobile number' };
+    }
+
+    const dltTemplateId = process.env[template.dltEnv];
+    const record = {
+        to_index: blindIndex(number),
+        to_masked: mask(number),
+        event,
+        dlt_template_id: dltTemplateId,
+        provider: provider.name,
+        team: team ? team._id : undefined,
+        member: member ? member._id : undefined
+    };
+
+    const limit = Number(process.env.SMS_RATE_LIMIT_PER_HOUR) || 5;
+    // Only delivered messages count, so a provider outage does not block resends
+    const recent = await SmsMessage.countDocuments({
+        to_index: record.to_index,
+        status: 'sent',
+        created_at: { $gte: new Date(Date.now() - RATE_WINDOW_MS) }
+    });
+    if (recent >= limit) {
+        await SmsMessage.create({ ...record, status: 'rate_limited' });
+        console.log(`⚠️ SMS rate limit reached for ${record.to_masked}`);
+        return { success: false, status: 429, message: 'Too many messages to this number, please try again later' };
+    }
+
+    if (!dltTemplateId && provider.name === 'msg91') {
+        console.log(`⚠️ ${template.dltEnv} is not set; operators may block this message`);
+    }
+
+    try {
+        const messageId = await provider.send({ to: number, text: template.text(vars), dltTemplateId });
+        await SmsMessage.create({ ...record, status: 'sent', message_id: messageId });
+        return { success: true, provider: provider.name, message_id: messageId };
+    } catch (error) {
+        await SmsMessage.create({ ...record, status: 'failed', error: error.message });
+        throw error;
+    }
+}
+
+/**
+ * Send a one-time code by SMS
+ */
+function sendOtp(mobile, otp) {
+    return sendSms({ to: mobile, event: 'otp', vars: { otp } });
+}
+
+module.exports = {
+    getProviderName,
+    normaliseMobile,
+    sendSms,
+    sendOtp
+};
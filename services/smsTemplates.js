@@ -0,0 +1,44 @@
+/**
+ * SMS templates. Indian operators only deliver messages that match a template
+ * registered on the DLT platform, so the text here must be kept identical to
+ * the registered wording; each template's DLT ID comes from the environment.
+ * Each template takes a vars object and returns the message text.
+ */
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', { dateStyle: 'medium' });
+
+const templates = {
+    otp: {
+        dltEnv: 'SMS_DLT_TEMPLATE_OTP',
+        text: ({ otp }) =>
+            `${otp} is your TTD registration verification code. It is valid for 10 minutes. Do not share it with anyone.`
+    },
+
+    registration_received: {
+        dltEnv: 'SMS_DLT_TEMPLATE_REGISTRATION',
+        text: ({ team }) =>
+            `Team ${team.team_name} is registered for TTD darshan. Ref: ${team.reference_number || '-'}. You will be informed once it is verified.`
+    },
+
+    verified: {
+        dltEnv: 'SMS_DLT_TEMPLATE_VERIFIED',
+        text: ({ team }) =>
+            `Team ${team.team_name} (Ref: ${team.reference_number || '-'}) is verified. You will be informed when a darshan slot is allotted.`
+    },
+
+    rejected: {
+        dltEnv: 'SMS_DLT_TEMPLATE_REJECTED',
+        text: ({ team }) =>
+            `Team ${team.team_name} (Ref: ${team.reference_number || '-'}) could not be approved. Please contact your team leader for details.`
+    },
+
+    booked: {
+        dltEnv: 'SMS_DLT_TEMPLATE_BOOKED',
+        text: ({ team }) => {
+            const booking = team.booking || {};
+            return `Darshan slot allotted to team ${team.team_name} on ${booking.date ? formatDate(booking.date) : '-'} at ${booking.temple || '-'}. Carry your original Aadhaar card.`;
+        }
+    }
+};
+
+module.exports = templates;
@@ -0,0 +1,360 @@
+const crypto = require('crypto');
+const Team = require('../models/Team');
+const { getBot, teamActionKeyboard } = require('./telegramService');
+const { transitionTeam } = require('./workflowService');
+const { recordAudit } = require('./auditService');
+const { notifyTeamEvent } = require('./notificationService');
+
+// ============================================
+// ACCESS CONTROL
+// TELEGRAM_ADMIN_CHAT_IDS (comma-separated) plus TELEGRAM_ADMIN_CHAT_ID
+// ============================================
+function allowedChatIds() {
+    return new Set(
+        [process.env.TELEGRAM_ADMIN_CHAT_IDS, process.env.TELEGRAM_ADMIN_CHAT_ID]
+            .filter(Boolean)
+            .join(',')
+            .split(',')
+            .map(id => id.trim())
+            .filter(Boolean)
+    );
+}
+
+function isAllowedChat(chatId) {
+    return allowedChatIds().has(String(chatId));
+}
+
+/**
+ * Check the X-Telegram-Bot-Api-Secret-Token header set via setWebHook.
+ * Without TELEGRAM_WEBHOOK_SECRET nothing is accepted, in any environment.
+ */
+function isValidWebhookSecret(header) {
+    const secret = process.env.TELEGRAM_WEBHOOK_SECRET;
+    if (!secret) return false;
+
+    const given = Buffer.from(String(header || ''));
+    const expected = Buffer.from(secret);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// ============================================
+// HELPERS
+// ============================================
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const STATUS_LABELS = {
+    pending: '⏳ Pending',
+    under_review: '🔍 Under review',
+    verified: '✅ Verified',
+    rejected: '❌ Rejected',
+    booked: '🎟️ Booked'
+};
+
+const ACTIONS = {
+    review: 'under_review',
+    verify: 'verified',
+    reject: 'rejected'
+};
+
+// Marker carried in the reject prompt so the reply can be matched statelessly
+const REJECT_MARKER = /#reject:([0-9a-f]{24}):(\d+)/;
+
+/**
+ * Identity recorded in status history and the audit log
+ */
+function telegramActor(from = {}) {
+    const username = `telegram:${from.username || from.id}`;
+    return { username, req: { actor: { id: String(from.id), username, role: 'reviewer' }, ip: 'telegram' } };
+}
+
+function send(chatId, html, options = {}) {
+    return getBot().sendMessage(chatId, html, {
+        parse_mode: 'HTML',
+        disable_web_page_preview: true,
+        ...options
+    });
+}
+
+function formatTeam(team) {
+    const leader = team.members[0] || {};
+    return [
+        `<b>${escapeHtml(team.team_name)}</b>`,
+        `Reference: <code>${escapeHtml(team.reference_number || '-')}</code>`,
+        `Status: ${STATUS_LABELS[team.submission_status] || team.submission_status}`,
+        `Members: ${team.members_count}`,
+        `Leader: ${escapeHtml(leader.name)} (${escapeHtml(leader.mobile_masked || '-')})`,
+        `Location: ${escapeHtml([leader.city, leader.state].filter(Boolean).join(', ') || '-')}`,
+        `Registered: ${new Date(team.created_at || team.createdAt).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' })}`
+    ].join('\n');
+}
+
+// ============================================
+// ACTIONS
+// ============================================
+
+/**
+ * Move a team to the status behind a button. Verify/reject on a pending
+ * team passes through under_review so the workflow rules still hold.
+ */
+async function applyAction(teamId, action, from, reason) {
+    const to = ACTIONS[action];
+    const team = await Team.findOne({ _id: teamId, deleted_at: null });
+    if (!team) {
+        return { success: false, message: 'Team not found' };
+    }
+
+    const actor = telegramActor(from);
+    const steps = team.submission_status === 'pending' && to !== 'under_review'
+        ? ['under_review', to]
+        : [to];
+
+    let result;
+    for (const step of steps) {
+        result = await transitionTeam(teamId, step, { changedBy: actor.username, reason });
+        if (!result.success) return result;
+
+        await recordAudit(actor.req, {
+            action: 'team.status_change',
+            team: result.team,
+            changes: [{ path: 'submission_status', before: result.from, after: step }],
+            metadata: { reason, via: 'telegram' }
+        });
+    }
+
+    if (to === 'verified' || to === 'rejected') {
+        await notifyTeamEvent(result.team, to);
+    }
+    return result;
+}
+
+/**
+ * Replace the buttons on the message the action came from
+ */
+async function refreshKeyboard(chatId, messageId, team) {
+    try {
+        await getBot().editMessageReplyMarkup(teamActionKeyboard(team), { chat_id: chatId, message_id: messageId });
+    } catch (error) {
+        // "message is not modified" and deleted messages are harmless
+        console.log('⚠️ Could not update Telegram keyboard:', error.message);
+    }
+}
+
+async function handleCallbackQuery(query) {
+    const bot = getBot();
+    const message = query.message || {};
+    const chatId = message.chat && message.chat.id;
+
+    if (!isAllowedChat(chatId)) {
+        return bot.answerCallbackQuery(query.id, { text: 'Not authorised', show_alert: true });
+    }
+
+    const [action, teamId] = String(query.data || '').split(':');
+    if (!ACTIONS[action] || !/^[0-9a-f]{24}$/.test(teamId || '')) {
+        return bot.answerCallbackQuery(query.id, { text: 'Unknown action' });
+    }
+
+    if (action === 'reject') {
+        const team = await Team.findOne({ _id: teamId, deleted_at: null }).select('team_name');
+        if (!team) {
+            return bot.answerCallbackQuery(query.id, { text: 'Team not found', show_alert: true });
+        }
+
+        await bot.answerCallbackQuery(query.id, { text: 'Reply with the rejection reason' });
+        return send(
+            chatId,
+            `✏️ Reply to this message with the reason for rejecting <b>${escapeHtml(team.team_name)}</b>.\n#reject:${teamId}:${message.message_id}`,
+            { reply_markup: { force_reply: true, selective: true } }
+        );
+    }
+
+    const result = await applyAction(teamId, action, query.from);
+    if (!result.success) {
+        return bot.answerCallbackQuery(query.id, { text: result.message, show_alert: true });
+    }
+
+    await bot.answerCallbackQuery(query.id, { text: STATUS_LABELS[result.team.submission_status] });
+    await refreshKeyboard(chatId, message.message_id, result.team);
+    return send(chatId, `${STATUS_LABELS[result.team.submission_status]}: <b>${escapeHtml(result.team.team_name)}</b> by ${escapeHtml(telegramActor(query.from).username)}`);
+}
+
+// ============================================
+// COMMANDS
+// ============================================
+const commands = {
+    async help(chatId) {
+        return send(chatId, [
+            '<b>TTD Registration Bot</b>',
+            '/pending - teams waiting for review',
+            '/team &lt;name or reference&gt; - team details and actions',
+            '/stats - registration statistics'
+        ].join('\n'));
+    },
+
+    async pending(chatId) {
+        const filter = { deleted_at: null, submission_status: { $in: ['pending', 'under_review'] } };
+        const [teams, total] = await Promise.all([
+            Team.find(filter)
+                .sort({ created_at: 1 })
+                .limit(10)
+                .select('team_name reference_number members_count submission_status created_at'),
+            Team.countDocuments(filter)
+        ]);
+
+        if (teams.length === 0) {
+            return send(chatId, '🎉 No teams waiting for review.');
+        }
+
+        const lines = teams.map((team, i) =>
+            `${i + 1}. <b>${escapeHtml(team.team_name)}</b> (${team.members_count}) · <code>${escapeHtml(team.reference_number || '-')}</code> · ${STATUS_LABELS[team.submission_status]}`
+        );
+        const more = total > teams.length ? `\n…and ${total - teams.length} more` : '';
+        return send(chatId, `<b>Waiting for review: ${total}</b>\n\n${lines.join('\n')}${more}\n\nUse /team &lt;name&gt; to act on one.`);
+    },
+
+    async team(chatId, args) {
+        const query = args.trim();
+        if (!query) {
+            return send(chatId, 'Usage: /team &lt;team name or reference number&gt;');
+        }
+
+        const team = await Team.findOne({
+            deleted_at: null,
+            $or: [
+                { team_name: new RegExp(`^${escapeRegex(query)}$`, 'i') },
+                { reference_number: query.toUpperCase() }
+            ]
+        });
+
+        if (team) {
+            return send(chatId, formatTeam(team), { reply_markup: teamActionKeyboard(team) });
+        }
+
+        const similar = await Team.find({ deleted_at: null, team_name: new RegExp(escapeRegex(query), 'i') })
+            .limit(5)
+            .select('team_name');
+        if (similar.length === 0) {
+            return send(chatId, `No team found for "${escapeHtml(query)}".`);
+        }
+        return send(chatId, `No exact match. Did you mean:\n${similar.map(t => `• ${escapeHtml(t.team_name)}`).join('\n')}`);
+    },
+
+    async stats(chatId) {
+        const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+        const [byStatus, lastDay] = await Promise.all([
+            Team.aggregate([
+                { $match: { deleted_at: null } },
+                { $group: { _id: '$submission_status', teams: { $sum: 1 }, members: { $sum: '$members_count' } } }
+            ]),
+            Team.countDocuments({ deleted_at: null, created_at: { $gte: since } })
+        ]);
+
+        const totals = byStatus.reduce((sum, s) => ({ teams: sum.teams + s.teams, members: sum.members + s.members }), { teams: 0, members: 0 });
+        const lines = Object.keys(STATUS_LABELS).map(status => {
+            const entry = byStatus.find(s => s._id === status) || { teams: 0 };
+            return `${STATUS_LABELS[status]}: ${entry.teams}`;
+        });
+
+        return send(chatId, [
+            '📊 <b>Registration statistics</b>',
+            '',
+            `Teams: ${totals.teams}`,
+            `Members: ${totals.members}`,
+            `Last 24 hours: ${lastDay}`,
+            '',
+            ...lines
+        ].join('\n'));
+    }
+};
+commands.start = commands.help;
+
+async function handleMessage(message) {
+    const chatId = message.chat.id;
+    const text = String(message.text || '');
+
+    if (!isAllowedChat(chatId)) {
+        if (message.chat.type === 'private') {
+            await send(chatId, `⛔ This chat is not authorised. Chat ID: <code>${chatId}</code>`);
+        }
+        return;
+    }
+
+    // Rejection reason sent as a reply to the bot's prompt
+    const prompt = message.reply_to_message && message.reply_to_message.text;
+    const marker = prompt && prompt.match(REJECT_MARKER);
+    if (marker) {
+        const reason = text.trim();
+        if (!reason) {
+            return send(chatId, 'A reason is required to reject a team.');
+        }
+
+        const result = await applyAction(marker[1], 'reject', message.from, reason);
+        if (!result.success) {
+            return send(chatId, `⚠️ ${escapeHtml(result.message)}`);
+        }
+
+        await refreshKeyboard(chatId, Number(marker[2]), result.team);
+        return send(chatId, `❌ Rejected: <b>${escapeHtml(result.team.team_name)}</b> by ${escapeHtml(telegramActor(message.from).username)}\nReason: ${escapeHtml(reason)}`);
+    }
+
+    const match = text.match(/^\/(\w+)(?:@\w+)?\s*([\s\S]*)$/);
+    if (!match) return;
+
+    const command = commands[match[1].toLowerCase()];
+    if (command) {
+        return command(chatId, match[2]);
+    }
+    return send(chatId, 'Unknown command. Try /help');
+}
+
+/**
+ * Handle one update delivered to the webhook. Never throws.
+ */
+async function handleUpdate(update) {
+    if (!getBot()) return;
+
+    try {
+        if (update.callback_query) {
+            await handleCallbackQuery(update.callback_query);
+        } else if (update.message && update.message.text) {
+            await handleMessage(update.message);
+        }
+    } catch (error) {
+        console.error('❌ Telegram update error:', error);
+    }
+}
+
+/**
+ * Point the bot at TELEGRAM_WEBHOOK_URL (if set) on startup
+ */
+async function setupWebhook() {
+    const bot = getBot();
+    const url = process.env.TELEGRAM_WEBHOOK_URL;
+    if (!bot || !url) return;
+
+    if (!process.env.TELEGRAM_WEBHOOK_SECRET) {
+        console.error('❌ TELEGRAM_WEBHOOK_SECRET is not set; Telegram webhook not registered');
+        return;
+    }
+
+    try {
+        await bot.setWebHook(url, {
+            secret_token: process.env.TELEGRAM_WEBHOOK_SECRET,
+            allowed_updates: JSON.stringify(['message', 'callback_query'])
+        });
+        console.log(`✅ Telegram webhook set to ${url}`);
+    } catch (error) {
+        console.error('❌ Telegram webhook setup error:', error.message);
+    }
+}
+
+module.exports = {
+    isAllowedChat,
+    isValidWebhookSecret,
+    handleUpdate,
+    setupWebhook
+};
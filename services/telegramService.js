@@ -12,6 +12,35 @@ if (process.env.TELEGRAM_BOT_TOKEN) {
     console.log('⚠️ Telegram Bot token not found');
 }
 
+/**
+ * Whether the bot and admin chat are configured
+ */
+function isConfigured() {
+    return Boolean(bot && process.env.TELEGRAM_ADMIN_CHAT_ID);
+}
+
+/**
+ * Inline buttons for acting on a team from Telegram (handled by telegramBot.js).
+ * Only the transitions valid from the team's current status are offered.
+ */
+function teamActionKeyboard(team) {
+    const id = String(team._id);
+    const buttons = {
+        pending: [
+            { text: '🔍 Review', callback_data: `review:${id}` },
+            { text: '✅ Verify', callback_data: `verify:${id}` },
+            { text: '❌ Reject', callback_data: `reject:${id}` }
+        ],
+        under_review: [
+            { text: '✅ Verify', callback_data: `verify:${id}` },
+            { text: '❌ Reject', callback_data: `reject:${id}` }
+        ],
+        rejected: [{ text: '🔍 Reopen', callback_data: `review:${id}` }]
+    }[team.submission_status] || [];
+
+    return { inline_keyboard: buttons.length ? [buttons] : [] };
+}
+
 /**
  * Send notification to admin about new team registration
  */
@@ -54,7 +83,8 @@ async function sendNewTeamNotification(team) {
             message,
             {
                 parse_mode: 'Markdown',
-                disable_web_page_preview: true
+                disable_web_page_preview: true,
+                reply_markup: teamActionKeyboard(team)
             }
         );
 
@@ -119,7 +149,7 @@ async function sendTeamDeletedNotification(teamName, teamId) {
 *Team ID:* ${teamId}
 *Time:* ${new Date().toLocaleString('en-IN')}
 
-Team has been permanently removed from the database.
+Team has been moved to the trash and will be purged after the retention period.
         `;
 
         await bot.sendMessage(
@@ -169,6 +199,9 @@ You will now receive instant notifications for:
 }
 
 module.exports = {
+    getBot: () => bot,
+    isConfigured,
+    teamActionKeyboard,
     sendNewTeamNotification,
     sendTeamVerifiedNotification,
     sendTeamDeletedNotification,
@@ -0,0 +1,210 @@
+const TtdTemple = require('../models/TtdTemple');
+const Team = require('../models/Team');
+const { lookupPincode, pincodeCentroid, distanceKm } = require('../utils/pincodeDirectory');
+const { setCatalogue } = require('../utils/templeCatalogue');
+
+// Other app instances pick up catalogue edits within this time
+const REFRESH_MINUTES = 5;
+
+const NEAREST_DEFAULT = 5;
+const NEAREST_MAX = 20;
+
+const EDITABLE_FIELDS = ['name', 'type', 'address', 'city', 'district', 'state', 'pincode', 'is_active'];
+
+// ============================================
+// CATALOGUE INDEX
+// ============================================
+
+/**
+ * Reload the in-memory index used by member validation
+ * @returns {Promise<number>} Active entries
+ */
+async function refreshCatalogue() {
+    const temples = await TtdTemple.find({ is_active: true }).select('name').lean();
+    setCatalogue(temples);
+    return temples.length;
+}
+
+/**
+ * Load the catalogue now and keep it fresh
+ */
+function scheduleCatalogueRefresh() {
+    const run = () => refreshCatalogue().catch(error => {
+        console.error('❌ Temple catalogue refresh error:', error);
+    });
+
+    const timer = setInterval(run, REFRESH_MINUTES * 60 * 1000);
+    timer.unref();
+    run();
+
+    console.log(`🛕 Temple catalogue refreshed every ${REFRESH_MINUTES} min`);
+    return timer;
+}
+
+// ============================================
+// NEAREST TEMPLES
+// ============================================
+
+/**
+ * Active temples ranked by distance from a pincode's centroid
+ * @param {string} pincode - 6-digit pincode
+ * @param {number} limit - Number of temples (default 5, max 20)
+ * @returns {Promise<object>} { success, origin, temples } or { success: false, status, message }
+ */
+async function nearestTemples(pincode, limit) {
+    const origin = pincodeCentroid(pincode);
+    if (!origin) {
+        return { success: false, status: 404, message: 'Pincode not found in the India Post directory' };
+    }
+
+    const count = Math.min(Math.max(parseInt(limit, 10) || NEAREST_DEFAULT, 1), NEAREST_MAX);
+    const temples = await TtdTemple.find({ is_active: true })
+        .select('name type address city district state pincode latitude longitude')
+        .lean();
+
+    const ranked = temples
+        .map(t => ({
+            ...t,
+            distance_km: Math.round(distanceKm(origin, { lat: t.latitude, lng: t.longitude }) * 10) / 10
+        }))
+        .sort((a, b) => a.distance_km - b.distance_km)
+        .slice(0, count);
+
+    return { success: true, origin, temples: ranked };
+}
+
+// ============================================
+// CATALOGUE EDITS
+// ============================================
+
+/**
+ * Copy editable fields onto a temple. Coordinates not given are taken from
+ * the pincode centroid (again when the pincode changes).
+ * @returns {object|null} { status, message } when the input cannot be used
+ */
+function applyFields(temple, input) {
+    EDITABLE_FIELDS.forEach(field => {
+        if (input[field] !== undefined) temple[field] = input[field];
+    });
+
+    const hasLatitude = input.latitude !== undefined && input.latitude !== null && input.latitude !== '';
+    const hasLongitude = input.longitude !== undefined && input.longitude !== null && input.longitude !== '';
+    if (hasLatitude !== hasLongitude) {
+        return { status: 400, message: 'Give both latitude and longitude, or neither' };
+    }
+
+    if (hasLatitude) {
+        temple.latitude = Number(input.latitude);
+        temple.longitude = Number(input.longitude);
+    } else if (temple.isNew || temple.isModified('pincode')) {
+        const centroid = pincodeCentroid(temple.pincode);
+        if (!centroid) {
+            return { status: 400, message: 'Pincode not found in the India Post directory; give latitude and longitude' };
+        }
+        temple.latitude = centroid.lat;
+        temple.longitude = centroid.lng;
+    }
+
+    // Fill the address from the pincode when left blank
+    const resolved = lookupPincode(temple.pincode);
+    if (resolved) {
+        if (!temple.state) temple.state = resolved.state;
+        if (!temple.district) temple.district = resolved.district;
+    }
+    return null;
+}
+
+const duplicateName = (error) => error && error.code === 11000;
+
+/**
+ * Add a catalogue entry
+ * @returns {Promise<object>} { success, temple } or { success: false, status, message }
+ */
+async function createTemple(input, username) {
+    const temple = new TtdTemple({ created_by: username, updated_by: username });
+    const problem = applyFields(temple, input);
+    if (problem) return { success: false, ...problem };
+
+    try {
+        await temple.save();
+    } catch (error) {
+        if (duplicateName(error)) {
+            return { success: false, status: 400, message: 'A temple with this name already exists' };
+        }
+        throw error;
+    }
+
+    await refreshCatalogue();
+    return { success: true, temple };
+}
+
+/**
+ * Edit a catalogue entry. A rename is carried over to the members who chose it.
+ * @returns {Promise<object>} { success, temple, renamed } or { success: false, status, message }
+ */
+async function updateTemple(id, input, username) {
+    const temple = await TtdTemple.findById(id);
+    if (!temple) {
+        return { success: false, status: 404, message: 'Temple not found' };
+    }
+
+    const previousName = temple.name;
+    const problem = applyFields(temple, input);
+    if (problem) return { success: false, ...problem };
+    temple.updated_by = username;
+
+    try {
+        await temple.save();
+    } catch (error) {
+        if (duplicateName(error)) {
+            return { success: false, status: 400, message: 'A temple with this name already exists' };
+        }
+        throw error;
+    }
+
+    let renamed = 0;
+    if (temple.name !== previousName) {
+        const result = await Team.updateMany(
+            { 'members.nearest_ttd_temple_id': temple._id },
+            { $set: { 'members.$[member].nearest_ttd_temple': temple.name } },
+            { arrayFilters: [{ 'member.nearest_ttd_temple_id': temple._id }] }
+        );
+        renamed = result.modifiedCount;
+    }
+
+    await refreshCatalogue();
+    return { success: true, temple, renamed };
+}
+
+/**
+ * Remove a catalogue entry no member has chosen (otherwise deactivate it)
+ * @returns {Promise<object>} { success, temple } or { success: false, status, message }
+ */
+async function deleteTemple(id) {
+    const temple = await TtdTemple.findById(id);
+    if (!temple) {
+        return { success: false, status: 404, message: 'Temple not found' };
+    }
+
+    const inUse = await Team.countDocuments({ 'members.nearest_ttd_temple_id': temple._id });
+    if (inUse > 0) {
+        return {
+            success: false,
+            status: 409,
+            message: `Temple is chosen by members of ${inUse} team(s); set is_active to false instead`
+        };
+    }
+
+    await temple.deleteOne();
+    await refreshCatalogue();
+    return { success: true, temple };
+}
+
+module.exports = {
+    refreshCatalogue,
+    scheduleCatalogueRefresh,
+    nearestTemples,
+    createTemple,
+    updateTemple,
+    deleteTemple
+};
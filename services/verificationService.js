@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const Team = require('../models/Team');
+const VerificationSession = require('../models/VerificationSession');
+const { encrypt, blindIndex } = require('../utils/encryption');
+const { mask } = require('../utils/memberValidator');
+
+const OTP_TTL_MS = 10 * 60 * 1000;
+const BIND_WINDOW_MS = 30 * 60 * 1000;
+const MAX_OTP_ATTEMPTS = 5;
+
+// Three locked sessions for one Aadhaar within an hour blocks new OTPs for it
+const LOCKOUT_WINDOW_MS = 60 * 60 * 1000;
+const MAX_LOCKED_SESSIONS = 3;
+
+const newSessionId = () => 'VS_' + crypto.randomBytes(16).toString('hex');
+
+/**
+ * True when too many sessions for this Aadhaar were locked recently
+ */
+async function isAadhaarLocked(aadhaar) {
+    const locked = await VerificationSession.countDocuments({
+        aadhaar_hash: blindIndex(aadhaar),
+        status: 'locked',
+        updatedAt: { $gte: new Date(Date.now() - LOCKOUT_WINDOW_MS) }
+    });
+    return locked >= MAX_LOCKED_SESSIONS;
+}
+
+/**
+ * Persist a session once the provider has sent the OTP
+ * @param {object} options - { sessionId, aadhaar, mobile, provider, providerReference, otpHash, ip }
+ */
+function createSession({ sessionId, aadhaar, mobile, provider, providerReference, otpHash, ip }) {
+    return VerificationSession.create({
+        session_id: sessionId,
+        aadhaar_hash: blindIndex(aadhaar),
+        aadhaar_masked: mask(aadhaar),
+        mobile_encrypted: encrypt(mobile),
+        mobile_masked: mask(mobile),
+        provider,
+        provider_reference: providerReference,
+        otp_hash: otpHash,
+        max_attempts: MAX_OTP_ATTEMPTS,
+        expires_at: new Date(Date.now() + OTP_TTL_MS),
+        ip
+    });
+}
+
+/**
+ * Atomically count an OTP attempt against a session
+ * @returns {object} { success, session } or { success: false, status, message }
+ */
+async function claimAttempt(sessionId) {
+    const session = await VerificationSession.findOneAndUpdate(
+        {
+            session_id: sessionId,
+            status: 'otp_sent',
+            expires_at: { $gt: new Date() },
+            $expr: { $lt: ['$attempts', '$max_attempts'] }
+        },
+        { $inc: { attempts: 1 } },
+        { new: true }
+    );
+    if (session) {
+        return { success: true, session };
+    }
+
+    const existing = await VerificationSession.findOne({ session_id: sessionId });
+    if (!existing) {
+        return { success: false, status: 404, message: 'Verification not found' };
+    }
+    if (existing.status === 'verified' || existing.status === 'bound') {
+        return { success: false, status: 409, message: 'Aadhaar already verified for this request' };
+    }
+    if (existing.status === 'locked' || existing.attempts >= existing.max_attempts) {
+        await VerificationSession.updateOne({ _id: existing._id, status: 'otp_sent' }, { $set: { status: 'locked' } });
+        return { success: false, status: 429, message: 'Too many incorrect attempts, request a new OTP' };
+    }
+    return { success: false, status: 410, message: 'OTP expired, request a new one' };
+}
+
+/**
+ * Record the provider's answer for a claimed attempt
+ * @param {object} session - Session returned by claimAttempt
+ * @param {object} result - Provider result { success, data: { name } }
+ */
+async function recordResult(session, result) {
+    if (result.success) {
+        await VerificationSession.updateOne(
+            { _id: session._id, status: 'otp_sent' },
+            {
+                $set: {
+                    status: 'verified',
+                    verified_at: new Date(),
+                    verified_name: result.data && result.data.name,
+                    expires_at: new Date(Date.now() + BIND_WINDOW_MS)
+                },
+                $unset: { otp_hash: 1 }
+            }
+        );
+        return;
+    }
+
+    if (session.attempts >= session.max_attempts) {
+        await VerificationSession.updateOne({ _id: session._id, status: 'otp_sent' }, { $set: { status: 'locked' } });
+    }
+}
+
+/**
+ * Give back an attempt the provider never answered (outage, timeout)
+ */
+function releaseAttempt(session) {
+    return VerificationSession.updateOne(
+        { _id: session._id, status: 'otp_sent', attempts: { $gt: 0 } },
+        { $inc: { attempts: -1 } }
+    );
+}
+
+/**
+ * Bind a verified session to a team member and mark the member verified.
+ * The verified Aadhaar must be the member's Aadhaar and a session binds once.
+ *
+ * @param {string} sessionId - verification_id returned to the client
+ * @param {object} team - Team document
+ * @param {string} memberId - Member subdocument _id
+ * @returns {object} { success, member_id } or { success: false, status, message }
+ */
+async function bindVerification(sessionId, team, memberId) {
+    const member = team.members.id(memberId);
+    if (!member) {
+        return { success: false, status: 404, message: 'Member not found' };
+    }
+
+    const session = await VerificationSession.findOne({ session_id: String(sessionId || '') });
+    if (!session || session.status !== 'verified') {
+        return { success: false, status: 400, message: 'Aadhaar verification not completed' };
+    }
+    if (session.expires_at <= Date.now()) {
+        return { success: false, status: 410, message: 'Verification expired, please verify again' };
+    }
+    if (session.aadhaar_hash !== member.id_number_index) {
+        return { success: false, status: 409, message: 'Verified Aadhaar does not match this member' };
+    }
+
+    const claimed = await VerificationSession.findOneAndUpdate(
+        { _id: session._id, status: 'verified' },
+        { $set: { status: 'bound', team: team._id, member_id: member._id, bound_at: new Date() } },
+        { new: true }
+    );
+    if (!claimed) {
+        return { success: false, status: 409, message: 'Verification already used' };
+    }
+
+    // Hand the session back if the member could not be marked, so it can be retried
+    const unbind = () => VerificationSession.updateOne(
+        { _id: session._id, status: 'bound' },
+        { $set: { status: 'verified' }, $unset: { team: 1, member_id: 1, bound_at: 1 } }
+    );
+
+    let result;
+    try {
+        result = await markMemberVerified(team, member, {
+            status: 'verified',
+            method: 'otp',
+            provider_response: session.provider,
+            timestamp: session.verified_at,
+            verification_id: session.session_id
+        });
+    } catch (error) {
+        await unbind();
+        throw error;
+    }
+    if (!result.success) await unbind();
+    return result;
+}
+
+/**
+ * Set aadhaar_verified on a member with the given verification log
+ * @returns {object} { success, member_id } or { success: false, status, message }
+ */
+async function markMemberVerified(team, member, log) {
+    // Matching on the index as well guards against the Aadhaar changing meanwhile
+    const result = await Team.updateOne(
+        { _id: team._id },
+        { $set: { 'members.$[m].aadhaar_verified': true, 'members.$[m].aadhaar_verification_log': log } },
+        { arrayFilters: [{ 'm._id': member._id, 'm.id_number_index': member.id_number_index }] }
+    );
+    if (result.modifiedCount === 0) {
+        return { success: false, status: 409, message: 'Member changed meanwhile, please verify again' };
+    }
+
+    member.aadhaar_verified = true;
+    member.aadhaar_verification_log = log;
+    return { success: true, member_id: String(member._id) };
+}
+
+module.exports = {
+    OTP_TTL_MS,
+    newSessionId,
+    isAadhaarLocked,
+    createSession,
+    claimAttempt,
+    recordResult,
+    releaseAttempt,
+    bindVerification,
+    markMemberVerified
+};
@@ -0,0 +1,102 @@
+const Team = require('../models/Team');
+
+// ============================================
+// SUBMISSION WORKFLOW
+// pending → under_review → verified / rejected → booked
+// Reverts: changes requested (under_review → pending), reopen
+// (verified / rejected → under_review) and booking cancelled (booked → verified)
+// ============================================
+const TRANSITIONS = {
+    pending: ['under_review'],
+    under_review: ['verified', 'rejected', 'pending'],
+    verified: ['booked', 'under_review'],
+    rejected: ['under_review'],
+    booked: ['verified']
+};
+
+// Moves that must be explained to the team leader
+const REASON_REQUIRED = ['rejected', 'pending'];
+
+/**
+ * Check whether a status change is allowed
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Build a status_history entry
+ */
+function historyEntry(from, to, changedBy, reason) {
+    return {
+        from,
+        to,
+        changed_by: changedBy,
+        reason: reason || undefined,
+        changed_at: new Date()
+    };
+}
+
+/**
+ * Move a team to a new status, recording who did it and why.
+ * The update is conditional on the status read, so two admins acting on the
+ * same team at once cannot both succeed.
+ *
+ * @param {string} teamId - Team to move
+ * @param {string} to - Target status
+ * @param {object} options - { changedBy, reason }
+ * @returns {object} { success, team } or { success, status, message }
+ */
+async function transitionTeam(teamId, to, { changedBy, reason } = {}) {
+    const team = await Team.findOne({ _id: teamId, deleted_at: null });
+    if (!team) {
+        return { success: false, status: 404, message: 'Team not found' };
+    }
+
+    const from = team.submission_status;
+    // Booking and cancelling also update the slot, so they only go through
+    // services/bookingService.js
+    if (from === 'booked') {
+        return { success: false, status: 409, message: 'Team is booked; cancel its booking with DELETE /api/slots/:id/bookings/:teamId' };
+    }
+    if (to === 'booked') {
+        return { success: false, status: 409, message: 'Book the team with POST /api/slots/:id/assign' };
+    }
+    if (!canTransition(from, to)) {
+        return {
+            success: false,
+            status: 409,
+            message: `Cannot move team from ${from} to ${to}`
+        };
+    }
+
+    if (REASON_REQUIRED.includes(to) && !String(reason || '').trim()) {
+        return { success: false, status: 400, message: 'A reason is required' };
+    }
+
+    const updated = await Team.findOneAndUpdate(
+        { _id: team._id, submission_status: from, deleted_at: null },
+        {
+            $set: { submission_status: to, updated_at: new Date() },
+            $push: { status_history: historyEntry(from, to, changedBy, reason && String(reason).trim()) }
+        },
+        { new: true }
+    );
+
+    if (!updated) {
+        return { success: false, status: 409, message: 'Team status changed meanwhile, please retry' };
+    }
+
+    console.log(`🔀 ${updated.team_name}: ${from} → ${to} by ${changedBy}`);
+    return { success: true, team: updated, from };
+}
+
+module.exports = {
+    TRANSITIONS,
+    canTransition,
+    historyEntry,
+    transitionTeam
+};
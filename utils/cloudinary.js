@@ -0,0 +1,90 @@
+const cloudinary = require('cloudinary').v2;
+
+// ============================================
+// CLOUDINARY CONFIGURATION
+// ============================================
+cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET
+});
+
+// Folder the upload endpoints store member photos in
+const PHOTO_FOLDER = 'ttd-registrations';
+
+/**
+ * Derive a Cloudinary public ID from a delivery URL
+ * e.g. https://res.cloudinary.com/demo/image/upload/v1700000000/ttd-registrations/member-1.jpg
+ *      → ttd-registrations/member-1
+ * @param {string} url - Cloudinary URL
+ * @returns {string|null} Public ID, or null if not a Cloudinary URL
+ */
+function publicIdFromUrl(url) {
+    if (!url || !/res\.cloudinary\.com/.test(url)) return null;
+
+    const [, rest] = url.split('?')[0].split('/upload/');
+    if (!rest) return null;
+
+    let segments = rest.split('/');
+    const versionIndex = segments.findIndex(s => /^v\d+$/.test(s));
+    if (versionIndex !== -1) {
+        segments = segments.slice(versionIndex + 1);
+    } else {
+        // Skip transformation segments such as c_limit,w_800
+        while (segments.length > 1 && /^[a-z]{1,3}_[^/]*$/.test(segments[0])) {
+            segments.shift();
+        }
+    }
+
+    return segments.join('/').replace(/\.[a-z0-9]+$/i, '') || null;
+}
+
+/**
+ * True for the delivery URL of a photo stored by the upload endpoints:
+ * https on res.cloudinary.com, this account's cloud, inside PHOTO_FOLDER
+ * @param {string} value - URL
+ * @returns {boolean}
+ */
+function isUploadedPhotoUrl(value) {
+    let url;
+    try {
+        url = new URL(String(value));
+    } catch (error) {
+        return false;
+    }
+
+    const cloud = process.env.CLOUDINARY_CLOUD_NAME;
+    if (url.protocol !== 'https:' || url.hostname !== 'res.cloudinary.com' || url.port || url.username || url.password) {
+        return false;
+    }
+    if (!cloud || !url.pathname.startsWith(`/${cloud}/image/upload/`) || url.pathname.includes('..')) {
+        return false;
+    }
+
+    const publicId = publicIdFromUrl(url.href);
+    return !!publicId && publicId.startsWith(`${PHOTO_FOLDER}/`);
+}
+
+/**
+ * True for a file directly in the local uploads folder, e.g. /uploads/member-1.jpg
+ */
+function isLocalUploadPath(value) {
+    const text = String(value);
+    return /^\/?uploads\/[\w.-]+$/.test(text) && !text.includes('..');
+}
+
+/**
+ * True when a member photo value was issued by this app's uploads
+ */
+function isIssuedPhoto(value) {
+    return isUploadedPhotoUrl(value) || isLocalUploadPath(value);
+}
+
+module.exports = {
+    cloudinary,
+    PHOTO_FOLDER,
+    publicIdFromUrl,
+    isUploadedPhotoUrl,
+    isLocalUploadPath,
+    isIssuedPhoto
+};
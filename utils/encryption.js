@@ -1,43 +1,150 @@
 const crypto = require('crypto');
 
-// Get encryption key from environment
-const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'default-key-change-this-12345'; // Must be 32 characters
-const IV_LENGTH = 16; // For AES, this is always 16
+const DEFAULT_KEY = 'default-key-change-this-12345';
+const EXAMPLE_KEY = 'your-32-character-encryption-key-here-change-this';
 
-// Ensure key is 32 bytes
-const getKey = () => {
-    const key = Buffer.from(ENCRYPTION_KEY.padEnd(32, '0').slice(0, 32));
+// Legacy single key (pre-v2 ciphertexts were encrypted with it, padded to 32 chars)
+const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || DEFAULT_KEY;
+const IV_LENGTH = 12; // Recommended IV length for GCM
+const LEGACY_IV_LENGTH = 16;
+const VERSION = 'v2';
+const KDF_SALT = 'ttd-registration:encryption';
+
+// Ensure key is 32 bytes (legacy ciphertexts only)
+const getLegacyKey = (secret) => {
+    const key = Buffer.from(secret.padEnd(32, '0').slice(0, 32));
     return key;
 };
 
 /**
- * Encrypt sensitive data using AES-256-GCM
+ * Derive a 256-bit AES key from a secret with scrypt.
+ * The key id is part of the salt so two ids never share a derived key.
+ */
+function deriveKey(keyId, secret) {
+    return crypto.scryptSync(secret, `${KDF_SALT}:${keyId}`, 32, { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 });
+}
+
+/**
+ * Load the keyring from the environment.
+ *   ENCRYPTION_KEYS=2024a:secret-one,2025a:secret-two
+ *   ENCRYPTION_KEY_ID=2025a   (current key; defaults to the last one listed)
+ * Without ENCRYPTION_KEYS the single ENCRYPTION_KEY is used with id "k1".
+ * @returns {object} { keys: Map<id, secret>, currentId }
+ */
+function loadKeyring() {
+    const keys = new Map();
+
+    if (process.env.ENCRYPTION_KEYS) {
+        for (const entry of process.env.ENCRYPTION_KEYS.split(',')) {
+            const separator = entry.indexOf(':');
+            const id = entry.slice(0, separator).trim();
+            const secret = entry.slice(separator + 1).trim();
+
+            if (separator < 1 || !/^[A-Za-z0-9_-]+$/.test(id) || !secret) {
+                throw new Error(`Invalid ENCRYPTION_KEYS entry "${id || entry}" (expected id:secret)`);
+            }
+            keys.set(id, secret);
+        }
+    } else {
+        keys.set('k1', ENCRYPTION_KEY);
+    }
+
+    const currentId = process.env.ENCRYPTION_KEY_ID || Array.from(keys.keys()).pop();
+    if (!keys.has(currentId)) {
+        throw new Error(`ENCRYPTION_KEY_ID "${currentId}" is not in the keyring`);
+    }
+
+    return { keys, currentId };
+}
+
+const keyring = loadKeyring();
+const derivedKeys = new Map();
+
+// The pre-versioning key: keyring entry "k1", else ENCRYPTION_KEY. Legacy
+// ciphertexts and the blind index fall back to it, so moving ENCRYPTION_KEY
+// into ENCRYPTION_KEYS as "k1" changes neither.
+const LEGACY_SECRET = keyring.keys.get('k1') || ENCRYPTION_KEY;
+const LEGACY_SECRETS = [...new Set([LEGACY_SECRET, ENCRYPTION_KEY])];
+const BLIND_INDEX_SECRET = process.env.BLIND_INDEX_KEY || LEGACY_SECRET;
+
+// Derive lazily and cache; scrypt is deliberately slow
+const getKey = (keyId) => {
+    if (!derivedKeys.has(keyId)) {
+        const secret = keyring.keys.get(keyId);
+        if (!secret) {
+            throw new Error(`Unknown encryption key id "${keyId}"`);
+        }
+        derivedKeys.set(keyId, deriveKey(keyId, secret));
+    }
+    return derivedKeys.get(keyId);
+};
+
+/**
+ * Refuse insecure key configuration in production.
+ * Called at server start-up.
+ * @returns {string[]} Problems found (empty when the configuration is safe)
+ */
+function validateKeyring() {
+    const problems = [];
+    const weak = [DEFAULT_KEY, EXAMPLE_KEY];
+
+    for (const [id, secret] of keyring.keys) {
+        if (weak.includes(secret)) {
+            problems.push(`Encryption key "${id}" is the default/example key`);
+        } else if (secret.length < 32) {
+            problems.push(`Encryption key "${id}" is shorter than 32 characters`);
+        }
+    }
+
+    if (weak.includes(BLIND_INDEX_SECRET)) {
+        problems.push('BLIND_INDEX_KEY is not set and would fall back to the default key');
+    }
+
+    return problems;
+}
+
+/**
+ * Encrypt sensitive data using AES-256-GCM with the current key
  * @param {string} text - Text to encrypt
- * @returns {string} Encrypted text in format: iv:encryptedData:authTag
+ * @returns {string} Encrypted text in format: v2:keyId:iv:encryptedData:authTag
  */
 function encrypt(text) {
     try {
         if (!text) return '';
 
+        const keyId = keyring.currentId;
         const iv = crypto.randomBytes(IV_LENGTH);
-        const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+        const cipher = crypto.createCipheriv('aes-256-gcm', getKey(keyId), iv);
 
         let encrypted = cipher.update(text, 'utf8', 'hex');
         encrypted += cipher.final('hex');
 
         const authTag = cipher.getAuthTag();
 
-        // Return format: iv:encrypted:authTag (all in hex)
-        return iv.toString('hex') + ':' + encrypted + ':' + authTag.toString('hex');
+        // Return format: v2:keyId:iv:encrypted:authTag (binary parts in hex)
+        return [VERSION, keyId, iv.toString('hex'), encrypted, authTag.toString('hex')].join(':');
     } catch (error) {
         console.error('Encryption error:', error);
         throw new Error('Failed to encrypt data');
     }
 }
 
+/**
+ * AES-256-GCM decrypt of hex parts; throws when the tag does not match
+ */
+function decryptWith(key, iv, encrypted, tagHex) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(Buffer.from(tagHex, 'hex'));
+
+    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
+    decrypted += decipher.final('utf8');
+    return decrypted;
+}
+
 /**
  * Decrypt encrypted data
- * @param {string} encryptedText - Encrypted text in format: iv:encryptedData:authTag
+ * @param {string} encryptedText - v2:keyId:iv:data:tag, or legacy iv:data:tag
+ *                                 (legacy: keyring "k1", then ENCRYPTION_KEY)
  * @returns {string} Decrypted text
  */
 function decrypt(encryptedText) {
@@ -45,27 +152,66 @@ function decrypt(encryptedText) {
         if (!encryptedText) return '';
 
         const parts = encryptedText.split(':');
+
+        if (parts.length === 5 && parts[0] === VERSION) {
+            const [, keyId, ivHex, encrypted, tagHex] = parts;
+            return decryptWith(getKey(keyId), Buffer.from(ivHex, 'hex'), encrypted, tagHex);
+        }
         if (parts.length !== 3) {
             throw new Error('Invalid encrypted data format');
         }
 
-        const iv = Buffer.from(parts[0], 'hex');
-        const encrypted = parts[1];
-        const authTag = Buffer.from(parts[2], 'hex');
-
-        const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
-        decipher.setAuthTag(authTag);
-
-        let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-        decrypted += decipher.final('utf8');
+        const [ivHex, encrypted, tagHex] = parts;
+        const iv = Buffer.from(ivHex, 'hex');
+        if (iv.length !== LEGACY_IV_LENGTH) {
+            throw new Error('Invalid encrypted data format');
+        }
 
-        return decrypted;
+        let lastError;
+        for (const secret of LEGACY_SECRETS) {
+            try {
+                return decryptWith(getLegacyKey(secret), iv, encrypted, tagHex);
+            } catch (error) {
+                lastError = error;
+            }
+        }
+        throw lastError;
     } catch (error) {
         console.error('Decryption error:', error);
         throw new Error('Failed to decrypt data');
     }
 }
 
+/**
+ * Key id a ciphertext was encrypted with ("legacy" for the old format)
+ * @param {string} encryptedText - Encrypted text
+ * @returns {string|null} Key id, or null for empty input
+ */
+function getKeyId(encryptedText) {
+    if (!encryptedText) return null;
+    const parts = encryptedText.split(':');
+    return parts.length === 5 && parts[0] === VERSION ? parts[1] : 'legacy';
+}
+
+/**
+ * Whether a ciphertext should be moved to the current key
+ * @param {string} encryptedText - Encrypted text
+ * @returns {boolean}
+ */
+function needsReencryption(encryptedText) {
+    const keyId = getKeyId(encryptedText);
+    return keyId !== null && keyId !== keyring.currentId;
+}
+
+/**
+ * Re-encrypt a ciphertext with the current key (no-op if already current)
+ * @param {string} encryptedText - Encrypted text
+ * @returns {string} Ciphertext under the current key
+ */
+function reencrypt(encryptedText) {
+    return needsReencryption(encryptedText) ? encrypt(decrypt(encryptedText)) : encryptedText;
+}
+
 /**
  * Hash data using SHA-256 (one-way, for comparison only)
  * @param {string} text - Text to hash
@@ -75,17 +221,41 @@ function hash(text) {
     return crypto.createHash('sha256').update(text).digest('hex');
 }
 
+/**
+ * Keyed blind index (HMAC-SHA256) for equality lookups on encrypted values.
+ * Unlike hash(), the small Aadhaar/mobile keyspace cannot be brute-forced
+ * without the key. Whitespace is ignored so formatting does not matter.
+ * Its key is BLIND_INDEX_KEY, else the legacy key ("k1" / ENCRYPTION_KEY),
+ * so rotating encryption keys never changes the index.
+ * @param {string} text - Value to index
+ * @returns {string} Hex digest, or '' for empty input
+ */
+function blindIndex(text) {
+    if (!text) return '';
+
+    return crypto
+        .createHmac('sha256', BLIND_INDEX_SECRET)
+        .update(String(text).replace(/\s/g, ''))
+        .digest('hex');
+}
+
 /**
  * Generate random encryption key
- * @returns {string} Random 32-character key
+ * @returns {string} Random 64-character hex secret
  */
 function generateKey() {
-    return crypto.randomBytes(32).toString('hex').slice(0, 32);
+    return crypto.randomBytes(32).toString('hex');
 }
 
 module.exports = {
     encrypt,
     decrypt,
+    reencrypt,
+    needsReencryption,
+    getKeyId,
+    currentKeyId: keyring.currentId,
+    validateKeyring,
     hash,
+    blindIndex,
     generateKey
-};
\ No newline at end of file
+};
@@ -0,0 +1,331 @@
+/**
+ * Member Validation Utilities
+ * Shared by team registration and leader self-service edits
+ */
+const { encrypt, decrypt, blindIndex } = require('./encryption');
+const { validateAadhaar } = require('./aadhaarValidator');
+const { checkAddress, autofillAddress } = require('./pincodeDirectory');
+const { catalogueLoaded, findTemple } = require('./templeCatalogue');
+const { isIssuedPhoto } = require('./cloudinary');
+const {
+    GENDERS,
+    REQUIRABLE_FIELDS,
+    getRules,
+    teamSizeError,
+    ageError,
+    compositionErrors
+} = require('./registrationRules');
+
+/**
+ * Mask a value, keeping only the last few characters visible
+ * @param {string} value - Value to mask
+ * @param {number} visible - Number of characters to keep (default: 4)
+ * @returns {string} Masked value
+ */
+const mask = (value, visible = 4) => {
+    if (!value) return '';
+    return `${'*'.repeat(Math.max(0, value.length - visible))}${value.slice(-visible)}`;
+};
+
+/**
+ * Calculate age from DD-MM-YYYY or ISO date string
+ * @param {string} dob - Date of birth
+ * @returns {number|null} Age in years, or null if unparseable
+ */
+function calculateAge(dob) {
+    if (!dob) return null;
+
+    let d;
+    if (/^\d{2}-\d{2}-\d{4}$/.test(dob)) {
+        const [day, month, year] = dob.split('-');
+        d = new Date(year, month - 1, day);
+    } else {
+        d = new Date(dob);
+    }
+
+    if (isNaN(d.getTime())) return null;
+
+    const t = new Date();
+    let age = t.getFullYear() - d.getFullYear();
+    if (t.getMonth() < d.getMonth() ||
+        (t.getMonth() === d.getMonth() && t.getDate() < d.getDate())) {
+        age--;
+    }
+    return age;
+}
+
+/**
+ * Check a member's fields one by one, for form feedback.
+ * With partial, only fields that are present are checked (drafts).
+ * Age limits and required fields come from the registration rules.
+ * @param {object} member - Member as submitted (plaintext Aadhaar/mobile)
+ * @param {object} options - { partial }
+ * @returns {object} { [field]: message }, empty when everything is fine
+ */
+function validateMemberFields(member, { partial = false } = {}) {
+    const errors = {};
+    const present = (field) => member[field] !== undefined && member[field] !== null && String(member[field]).trim() !== '';
+    const check = (field, required) => present(field) || (!partial && required);
+
+    if (check('name', true) && !String(member.name || '').trim()) {
+        errors.name = 'Name is required';
+    }
+
+    if (check('id_number', true)) {
+        const aadhaar = validateAadhaar(String(member.id_number || '').replace(/\s/g, ''));
+        if (!aadhaar.valid) errors.id_number = aadhaar.message;
+    }
+
+    if (check('dob', false)) {
+        const age = calculateAge(String(member.dob));
+        if (age === null) {
+            errors.dob = 'Date of birth must be DD-MM-YYYY';
+        } else if (ageError(age)) {
+            errors.dob = ageError(age);
+        }
+    }
+
+    if (check('gender', false) && !GENDERS.includes(member.gender)) {
+        errors.gender = `Gender must be one of ${GENDERS.join(', ')}`;
+    }
+
+    if (check('mobile', false) && !/^[6-9]\d{9}$/.test(String(member.mobile).replace(/[\s-]/g, '').replace(/^(\+?91)(?=\d{10}$)/, ''))) {
+        errors.mobile = 'Mobile must be a 10-digit Indian number';
+    }
+
+    if (check('email', false) && !/^\S+@\S+\.\S+$/.test(String(member.email).trim())) {
+        errors.email = 'Please enter a valid email';
+    }
+
+    if (check('pincode', false)) {
+        if (!/^\d{6}$/.test(String(member.pincode).trim())) {
+            errors.pincode = 'Please enter a valid 6-digit pincode';
+        } else {
+            // Pincode must exist and agree with the state and district given
+            Object.assign(errors, checkAddress(member).errors);
+        }
+    }
+
+    if (check('nearest_ttd_temple', false) && catalogueLoaded() && !findTemple(member.nearest_ttd_temple)) {
+        errors.nearest_ttd_temple = 'Choose a temple from the TTD temple list';
+    }
+
+    if (!partial) {
+        getRules().required_fields.forEach(field => {
+            if (!present(field) && !errors[field]) errors[field] = `${REQUIRABLE_FIELDS[field]} is required`;
+        });
+    }
+
+    // Photos come from the upload endpoints: this account's Cloudinary folder
+    // or a local upload. Both fields are checked as either may be displayed.
+    const photoFields = ['photo_path', 'photo'].filter(present);
+    if (photoFields.some(field => !isIssuedPhoto(String(member[field]).trim()))) {
+        errors.photo = 'Photo must be uploaded through the photo upload';
+    } else if (photoFields.length === 0 && !partial) {
+        errors.photo = 'Photo is required';
+    }
+
+    return errors;
+}
+
+// Member fields taken from submitted data; everything else on a stored
+// member (ids, verification, check-in, photo asset) is set server-side
+const MEMBER_INPUT_FIELDS = [
+    'name', 'dob', 'gender', 'id_proof_type', 'email', 'state', 'district', 'city',
+    'street', 'doorno', 'pincode', 'nearest_ttd_temple', 'photo_path', 'photo'
+];
+
+/**
+ * Copy the submitted member fields that may be stored, as trimmed strings
+ */
+function pickMemberInput(member) {
+    const picked = {};
+    MEMBER_INPUT_FIELDS.forEach(field => {
+        const value = member[field];
+        if (value !== undefined && value !== null && typeof value !== 'object') {
+            picked[field] = String(value).trim();
+        }
+    });
+    return picked;
+}
+
+/**
+ * Store the catalogue's spelling of nearest_ttd_temple along with its id
+ * @returns {object} { nearest_ttd_temple, nearest_ttd_temple_id } to merge into the member
+ */
+function resolveTemple(member, existing) {
+    const temple = findTemple(member.nearest_ttd_temple);
+    if (temple) {
+        return { nearest_ttd_temple: temple.name, nearest_ttd_temple_id: temple._id };
+    }
+    if (existing && member.nearest_ttd_temple === existing.nearest_ttd_temple) {
+        return { nearest_ttd_temple_id: existing.nearest_ttd_temple_id };
+    }
+    return { nearest_ttd_temple_id: undefined };
+}
+
+/**
+ * Whether an edited member keeps its Aadhaar verification. Verification was
+ * checked against the Aadhaar, name, date of birth and gender, so all of
+ * them must be unchanged.
+ * @param {object} existing - Stored member
+ * @param {object} member - Edited member
+ * @param {string} index - Blind index of the edited member's Aadhaar
+ */
+function keepsVerification(existing, member, index) {
+    if (!existing || !existing.aadhaar_verified || existing.id_number_index !== index) return false;
+    return ['name', 'dob', 'gender'].every(field =>
+        String(member[field] || '').trim() === String(existing[field] || '').trim());
+}
+
+/**
+ * Validate and prepare submitted members for storage against the registration rules.
+ * Every member and field is checked, so the form can show all problems at once.
+ * A member carrying the _id of one of existingMembers may omit id_number,
+ * mobile and photo; the stored values are reused for it.
+ * @param {Array} members - Submitted members
+ * @param {Array} existingMembers - Members already stored on the team
+ * @returns {object} { valid, members }, or { valid: false, message, errors, teamErrors }
+ *                   with errors = { [memberIndex]: { [field]: message } } (0-based)
+ *                   and teamErrors = gender composition problems
+ */
+function processMembers(members, existingMembers = []) {
+    const sizeError = teamSizeError(Array.isArray(members) ? members.length : NaN);
+    if (sizeError) {
+        return { valid: false, message: sizeError };
+    }
+
+    const processedMembers = [];
+    const errors = {};
+    const aadhaarPositions = new Map();
+
+    for (let i = 0; i < members.length; i++) {
+        const m = { ...members[i] };
+
+        const existing = m._id
+            ? existingMembers.find(e => String(e._id) === String(m._id))
+            : null;
+
+        if (existing) {
+            if (!m.id_number && existing.id_number_encrypted) {
+                m.id_number = decrypt(existing.id_number_encrypted);
+            }
+            if (!m.mobile && existing.mobile_encrypted) {
+                m.mobile = decrypt(existing.mobile_encrypted);
+            }
+            if (!m.photo_path && !m.photo) {
+                m.photo_path = existing.photo_path;
+                m.photo = existing.photo;
+            }
+        }
+
+        if (m.id_number) {
+            m.id_number = String(m.id_number).replace(/\s/g, '');
+        }
+
+        const fieldErrors = validateMemberFields(m);
+        // A temple since retired from the catalogue may stay on a member who keeps it
+        if (existing && fieldErrors.nearest_ttd_temple && m.nearest_ttd_temple === existing.nearest_ttd_temple) {
+            delete fieldErrors.nearest_ttd_temple;
+        }
+        if (m.id_number && !fieldErrors.id_number) {
+            if (aadhaarPositions.has(m.id_number)) {
+                fieldErrors.id_number = `Same Aadhaar as member ${aadhaarPositions.get(m.id_number) + 1}`;
+            } else {
+                aadhaarPositions.set(m.id_number, i);
+            }
+        }
+
+        if (Object.keys(fieldErrors).length > 0) {
+            errors[i] = fieldErrors;
+            continue;
+        }
+
+        // Plaintext Aadhaar/mobile are never stored, only their protected forms.
+        // Verification is set server-side only, and survives only an unchanged identity.
+        const { id_number, mobile } = m;
+        const index = blindIndex(id_number);
+        const keepVerification = keepsVerification(existing, m, index);
+
+        processedMembers.push({
+            ...pickMemberInput(m),
+            ...(existing ? { _id: existing._id, email_notifications: existing.email_notifications } : {}),
+            ...autofillAddress(m),
+            ...resolveTemple(m, existing),
+            age: calculateAge(m.dob),
+            aadhaar_verified: keepVerification,
+            aadhaar_verification_log: keepVerification ? existing.aadhaar_verification_log : undefined,
+            id_number_encrypted: encrypt(id_number),
+            id_number_index: index,
+            mobile_encrypted: encrypt(mobile),
+            id_number_masked: mask(id_number),
+            mobile_masked: mask(mobile),
+            photo_path: m.photo_path
+        });
+    }
+
+    const teamErrors = compositionErrors(members);
+    if (teamErrors.length > 0 || Object.keys(errors).length > 0) {
+        const message = [...teamErrors, memberErrorsMessage(errors)].filter(Boolean).join('; ');
+        return { valid: false, message, errors, teamErrors };
+    }
+
+    return { valid: true, members: processedMembers };
+}
+
+/**
+ * One-line summary of a member error map, e.g.
+ * "Member 2: Aadhaar must be exactly 12 digits; Member 5: Please enter a valid email"
+ */
+function memberErrorsMessage(errors) {
+    return Object.keys(errors)
+        .map(index => `Member ${Number(index) + 1}: ${Object.values(errors[index]).join(', ')}`)
+        .join('; ');
+}
+
+/**
+ * Member error map for Aadhaar numbers already registered in other teams
+ * @param {Array} conflicts - [{ position, name }] from Team.findAadhaarConflicts
+ * @returns {object} { [memberIndex]: { id_number: message } }
+ */
+function conflictErrors(conflicts) {
+    const errors = {};
+    (conflicts || []).forEach(c => {
+        errors[c.position - 1] = { id_number: 'Aadhaar already registered in another team' };
+    });
+    return errors;
+}
+
+/**
+ * Describe members already registered in other teams
+ * @param {Array} conflicts - [{ position, name }] from Team.findAadhaarConflicts
+ * @returns {string} Error message
+ */
+function aadhaarConflictMessage(conflicts) {
+    if (!conflicts || conflicts.length === 0) {
+        return 'Aadhaar already registered in another team';
+    }
+    const list = conflicts.map(c => `member ${c.position}${c.name ? ` (${c.name})` : ''}`).join(', ');
+    return `Aadhaar already registered in another team: ${list}`;
+}
+
+/**
+ * True when a save failed on the unique active-Aadhaar index
+ * (another registration won a race for the same pilgrim)
+ */
+function isAadhaarIndexError(error) {
+    return !!(error && error.code === 11000 && error.keyPattern &&
+        error.keyPattern['members.id_number_index']);
+}
+
+module.exports = {
+    mask,
+    calculateAge,
+    validateMemberFields,
+    keepsVerification,
+    processMembers,
+    memberErrorsMessage,
+    conflictErrors,
+    aadhaarConflictMessage,
+    isAadhaarIndexError
+};
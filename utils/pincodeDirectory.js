@@ -0,0 +1,236 @@
+/**
+ * India Post Pincode Directory
+ * Offline lookups against the bundled data/pincodes.json.gz and
+ * data/pincode-centroids.json.gz (rebuild with scripts/build-pincode-data.js)
+ */
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const DATA_FILE = path.join(__dirname, '..', 'data', 'pincodes.json.gz');
+const CENTROIDS_FILE = path.join(__dirname, '..', 'data', 'pincode-centroids.json.gz');
+
+let directory = null;
+let centroids = null;
+
+/**
+ * Load the directory on first use (~20k pincodes)
+ */
+function load() {
+    if (!directory) {
+        directory = JSON.parse(zlib.gunzipSync(fs.readFileSync(DATA_FILE)).toString('utf8'));
+        console.log(`📮 Pincode directory loaded (${Object.keys(directory.pincodes).length} pincodes)`);
+    }
+    return directory;
+}
+
+function loadCentroids() {
+    if (!centroids) {
+        centroids = JSON.parse(zlib.gunzipSync(fs.readFileSync(CENTROIDS_FILE)).toString('utf8')).centroids;
+    }
+    return centroids;
+}
+
+// ============================================
+// NAME MATCHING
+// Members spell states and districts in many ways ("Orissa", "Vizag",
+// "Y.S.R. Kadapa"); compare normalised names with a little tolerance.
+// ============================================
+const ALIASES = {
+    orissa: 'odisha',
+    pondicherry: 'puducherry',
+    uttaranchal: 'uttarakhand',
+    nctofdelhi: 'delhi',
+    newdelhi: 'delhi',
+    jammukashmir: 'jammuandkashmir',
+    ap: 'andhrapradesh',
+    ts: 'telangana',
+    tg: 'telangana',
+    tn: 'tamilnadu',
+    kadapa: 'ysr',
+    cuddapah: 'ysr',
+    ysrkadapa: 'ysr',
+    nellore: 'spsrnellore',
+    vizag: 'visakhapatanam',
+    visakhapatnam: 'visakhapatanam',
+    bangalore: 'bengaluru',
+    mysore: 'mysuru',
+    belgaum: 'belagavi',
+    gurgaon: 'gurugram',
+    allahabad: 'prayagraj',
+    calcutta: 'kolkata',
+    bombay: 'mumbai'
+};
+
+function normaliseName(value) {
+    const key = String(value || '')
+        .toLowerCase()
+        .replace(/&/g, 'and')
+        .replace(/\b(district|dist)\b/g, '')
+        .replace(/[^a-z]/g, '');
+    return ALIASES[key] || key;
+}
+
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * True when two place names refer to the same place
+ */
+function namesMatch(a, b) {
+    const x = normaliseName(a);
+    const y = normaliseName(b);
+    if (!x || !y) return false;
+    if (x === y) return true;
+
+    // "Bengaluru" vs "Bengaluru Urban", "East Godavari District"
+    const [shorter, longer] = x.length <= y.length ? [x, y] : [y, x];
+    if (shorter.length >= 4 && longer.includes(shorter)) return true;
+
+    return editDistance(x, y) <= (shorter.length >= 8 ? 2 : 1);
+}
+
+// ============================================
+// LOOKUP
+// ============================================
+
+/**
+ * Most common value first
+ */
+function byFrequency(values) {
+    const counts = new Map();
+    values.forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+    return [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a));
+}
+
+/**
+ * Look up a pincode
+ * @param {string} code - 6-digit pincode
+ * @returns {object|null} { pincode, state, district, states, districts, post_offices }
+ */
+function lookupPincode(code) {
+    const pincode = String(code || '').trim();
+    if (!/^\d{6}$/.test(pincode)) return null;
+
+    const data = load();
+    const offices = data.pincodes[pincode];
+    if (!offices) return null;
+
+    const postOffices = offices.map(([state, district, name, type, delivery]) => ({
+        name,
+        type,
+        delivery: !!delivery,
+        district: data.districts[district],
+        state: data.states[state]
+    }));
+
+    const states = byFrequency(postOffices.map(o => o.state));
+    const districts = byFrequency(postOffices.map(o => o.district));
+
+    return {
+        pincode,
+        state: states[0],
+        district: districts[0],
+        states,
+        districts,
+        post_offices: postOffices
+    };
+}
+
+/**
+ * Approximate centre of a pincode's delivery area
+ * @param {string} code - 6-digit pincode
+ * @returns {object|null} { lat, lng, approximate } (approximate: district centre used)
+ */
+function pincodeCentroid(code) {
+    const pincode = String(code || '').trim();
+    if (!/^\d{6}$/.test(pincode)) return null;
+
+    const point = loadCentroids()[pincode];
+    if (!point) return null;
+    return { lat: point[0], lng: point[1], approximate: point[2] === 1 };
+}
+
+/**
+ * Great-circle distance between two { lat, lng } points in km
+ */
+function distanceKm(a, b) {
+    const rad = (deg) => deg * Math.PI / 180;
+    const dLat = rad(b.lat - a.lat);
+    const dLng = rad(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Check that a pincode exists and agrees with the given state and district.
+ * Blank state/district are not checked.
+ * @param {object} address - { pincode, state, district }
+ * @returns {object} { errors: { [field]: message }, resolved } (resolved is the lookup or null)
+ */
+function checkAddress({ pincode, state, district }) {
+    const errors = {};
+    const resolved = lookupPincode(pincode);
+    if (!resolved) {
+        errors.pincode = 'Pincode not found in the India Post directory';
+        return { errors, resolved };
+    }
+
+    const hasState = !!String(state || '').trim();
+    const hasDistrict = !!String(district || '').trim();
+
+    if (hasState && !resolved.states.some(s => namesMatch(s, state))) {
+        errors.state = `Pincode ${resolved.pincode} is in ${resolved.states.join(' / ')}, not ${state}`;
+    } else if (hasDistrict) {
+        // Districts of the matching state (a few pincodes straddle state borders)
+        const candidates = resolved.post_offices
+            .filter(o => !hasState || namesMatch(o.state, state))
+            .map(o => o.district);
+        if (!candidates.some(d => namesMatch(d, district))) {
+            errors.district = `Pincode ${resolved.pincode} is in ${byFrequency(candidates).join(' / ')} district, not ${district}`;
+        }
+    }
+
+    return { errors, resolved };
+}
+
+/**
+ * Fill a blank state/district from the pincode when the answer is unambiguous
+ * @returns {object} { state, district } to merge into the member
+ */
+function autofillAddress(member) {
+    const resolved = lookupPincode(member.pincode);
+    const filled = {};
+    if (!resolved) return filled;
+
+    if (!String(member.state || '').trim() && resolved.states.length === 1) {
+        filled.state = resolved.state;
+    }
+    if (!String(member.district || '').trim() && resolved.districts.length === 1) {
+        filled.district = resolved.district;
+    }
+    return filled;
+}
+
+module.exports = {
+    lookupPincode,
+    checkAddress,
+    autofillAddress,
+    pincodeCentroid,
+    distanceKm,
+    namesMatch
+};
@@ -0,0 +1,204 @@
+/**
+ * Registration Rules
+ * Team size, age, gender composition, required fields, the registration
+ * window and the submit rate limit. Stored in the settings collection and
+ * held here so validators can read them synchronously
+ * (loaded and refreshed by services/settingsService.js).
+ */
+
+const GENDERS = ['Male', 'Female', 'Other'];
+
+// Member fields that can be made mandatory (name, Aadhaar and photo always are)
+const REQUIRABLE_FIELDS = {
+    dob: 'Date of birth',
+    gender: 'Gender',
+    mobile: 'Mobile',
+    email: 'Email',
+    state: 'State',
+    district: 'District',
+    city: 'City',
+    street: 'Street',
+    doorno: 'Door number',
+    pincode: 'Pincode',
+    nearest_ttd_temple: 'Nearest TTD temple'
+};
+
+const DEFAULT_RULES = {
+    team_size: { min: 10, max: 15 },
+    age: { min: 5, max: null },
+    // Per-team member counts by gender, e.g. { Female: { min: 2 }, Male: { max: 10 } }
+    gender_limits: {},
+    required_fields: [],
+    // ISO dates; null leaves that end open
+    window: { opens_at: null, closes_at: null },
+    submit_limit: { window_minutes: 15, max: 5 }
+};
+
+let current = DEFAULT_RULES;
+
+/**
+ * Rules in force (defaults until the settings have loaded)
+ */
+function getRules() {
+    return current;
+}
+
+function setRules(rules) {
+    current = rules;
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+const isWhole = (value, min, max = Infinity) => Number.isInteger(value) && value >= min && value <= max;
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+/**
+ * Merge a partial update into the given rules and check the result.
+ * Each section is merged field by field; gender_limits and required_fields
+ * are replaced whole.
+ * @param {object} base - Rules to start from
+ * @param {object} update - e.g. { team_size: { max: 12 }, window: { closes_at: '2026-12-31' } }
+ * @returns {object} { rules } or { errors: { [path]: message } }
+ */
+function mergeRules(base, update = {}) {
+    const errors = {};
+    const unknown = Object.keys(update).filter(key => !(key in DEFAULT_RULES));
+    unknown.forEach(key => { errors[key] = 'Unknown setting'; });
+
+    const section = (key) => ({ ...base[key], ...(update[key] || {}) });
+    const rules = {
+        team_size: section('team_size'),
+        age: section('age'),
+        gender_limits: update.gender_limits !== undefined ? update.gender_limits : base.gender_limits,
+        required_fields: update.required_fields !== undefined ? update.required_fields : base.required_fields,
+        window: section('window'),
+        submit_limit: section('submit_limit')
+    };
+
+    const { team_size, age, window: registrationWindow, submit_limit } = rules;
+
+    if (!isWhole(team_size.min, 1, 100)) errors['team_size.min'] = 'Must be a whole number from 1 to 100';
+    if (!isWhole(team_size.max, 1, 100)) errors['team_size.max'] = 'Must be a whole number from 1 to 100';
+    else if (team_size.max < team_size.min) errors['team_size.max'] = 'Must not be less than team_size.min';
+
+    if (!isWhole(age.min, 0, 120)) errors['age.min'] = 'Must be a whole number from 0 to 120';
+    if (isBlank(age.max)) age.max = null;
+    else if (!isWhole(age.max, 0, 120)) errors['age.max'] = 'Must be a whole number from 0 to 120, or null';
+    else if (age.max < age.min) errors['age.max'] = 'Must not be less than age.min';
+
+    if (!rules.gender_limits || typeof rules.gender_limits !== 'object' || Array.isArray(rules.gender_limits)) {
+        errors.gender_limits = `Must be an object keyed by ${GENDERS.join(', ')}`;
+    } else {
+        const limits = {};
+        let minimums = 0;
+        Object.entries(rules.gender_limits).forEach(([gender, limit]) => {
+            const path = `gender_limits.${gender}`;
+            if (!GENDERS.includes(gender)) {
+                errors[path] = `Gender must be one of ${GENDERS.join(', ')}`;
+                return;
+            }
+            const min = isBlank(limit && limit.min) ? 0 : limit.min;
+            const max = isBlank(limit && limit.max) ? null : limit.max;
+            if (!isWhole(min, 0, 100)) errors[`${path}.min`] = 'Must be a whole number from 0 to 100';
+            if (max !== null && !isWhole(max, 0, 100)) errors[`${path}.max`] = 'Must be a whole number from 0 to 100, or null';
+            else if (max !== null && max < min) errors[`${path}.max`] = 'Must not be less than the minimum';
+            limits[gender] = { min, max };
+            minimums += Number(min) || 0;
+        });
+        if (minimums > team_size.max) {
+            errors.gender_limits = `Minimums add up to ${minimums}, more than team_size.max`;
+        }
+        rules.gender_limits = limits;
+    }
+
+    if (!Array.isArray(rules.required_fields) || rules.required_fields.some(f => !REQUIRABLE_FIELDS[f])) {
+        errors.required_fields = `Must be a list of: ${Object.keys(REQUIRABLE_FIELDS).join(', ')}`;
+    } else {
+        rules.required_fields = [...new Set(rules.required_fields)];
+    }
+
+    ['opens_at', 'closes_at'].forEach(field => {
+        const value = registrationWindow[field];
+        if (isBlank(value)) {
+            registrationWindow[field] = null;
+        } else if (isNaN(new Date(value).getTime())) {
+            errors[`window.${field}`] = 'Must be an ISO date, or null';
+        } else {
+            registrationWindow[field] = new Date(value).toISOString();
+        }
+    });
+    if (registrationWindow.opens_at && registrationWindow.closes_at &&
+        registrationWindow.closes_at <= registrationWindow.opens_at) {
+        errors['window.closes_at'] = 'Must be after window.opens_at';
+    }
+
+    if (!isWhole(submit_limit.window_minutes, 1, 24 * 60)) errors['submit_limit.window_minutes'] = 'Must be a whole number from 1 to 1440';
+    if (!isWhole(submit_limit.max, 1, 1000)) errors['submit_limit.max'] = 'Must be a whole number from 1 to 1000';
+
+    return Object.keys(errors).length > 0 ? { errors } : { rules };
+}
+
+// ============================================
+// CHECKS
+// ============================================
+
+/**
+ * @returns {string|null} Problem with a team of this many members
+ */
+function teamSizeError(count) {
+    const { min, max } = current.team_size;
+    if (!Number.isInteger(count) || count < min || count > max) {
+        return min === max ? `Team must have exactly ${min} members` : `Team must have between ${min} and ${max} members`;
+    }
+    return null;
+}
+
+/**
+ * @returns {string|null} Problem with a member of this age
+ */
+function ageError(age) {
+    const { min, max } = current.age;
+    if (age < min) return `Age must be ≥ ${min}`;
+    if (max !== null && age > max) return `Age must be ≤ ${max}`;
+    return null;
+}
+
+/**
+ * Problems with the team's gender mix
+ * @param {Array} members - Members with a gender
+ * @returns {Array<string>} e.g. ['Team needs at least 2 Female members']
+ */
+function compositionErrors(members) {
+    return Object.entries(current.gender_limits).flatMap(([gender, { min, max }]) => {
+        const count = members.filter(m => m && m.gender === gender).length;
+        if (count < min) return [`Team needs at least ${min} ${gender} member${min === 1 ? '' : 's'}`];
+        if (max !== null && count > max) return [`Team can have at most ${max} ${gender} member${max === 1 ? '' : 's'}`];
+        return [];
+    });
+}
+
+/**
+ * @returns {string|null} Why registration is not accepted right now
+ */
+function registrationWindowError(now = new Date()) {
+    const { opens_at, closes_at } = current.window;
+    const format = (iso) => new Date(iso).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', dateStyle: 'medium', timeStyle: 'short' });
+    if (opens_at && now < new Date(opens_at)) return `Registration opens on ${format(opens_at)}`;
+    if (closes_at && now >= new Date(closes_at)) return `Registration closed on ${format(closes_at)}`;
+    return null;
+}
+
+module.exports = {
+    GENDERS,
+    REQUIRABLE_FIELDS,
+    DEFAULT_RULES,
+    getRules,
+    setRules,
+    mergeRules,
+    teamSizeError,
+    ageError,
+    compositionErrors,
+    registrationWindowError
+};
@@ -0,0 +1,143 @@
+/**
+ * Team Listing Query Builder
+ * Turns admin dashboard query parameters into a MongoDB filter, sort and page
+ */
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+const STATUSES = ['pending', 'under_review', 'verified', 'rejected', 'booked'];
+
+// Public sort keys → stored fields
+const SORT_FIELDS = {
+    created_at: 'created_at',
+    updated_at: 'updated_at',
+    team_name: 'team_name',
+    members_count: 'members_count',
+    status: 'submission_status'
+};
+
+// Member address filters (exact match, any member)
+const MEMBER_FILTERS = ['state', 'district', 'nearest_ttd_temple'];
+
+// $text only matches whole words; shorter terms and references go straight
+// to a prefix match
+const MIN_TEXT_SEARCH_LENGTH = 3;
+const MAX_SEARCH_LENGTH = 100;
+const REFERENCE_PATTERN = /^TTD-/i;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Prefix match on the words of the team and member names and on the
+ * reference number (with or without its TTD- prefix)
+ */
+function prefixSearch(search) {
+    const term = escapeRegex(search);
+    return [
+        { team_name: { $regex: `(^|\\s)${term}`, $options: 'i' } },
+        { 'members.name': { $regex: `(^|\\s)${term}`, $options: 'i' } },
+        { reference_number: { $regex: `^(TTD-)?${term}`, $options: 'i' } }
+    ];
+}
+
+/**
+ * Build filter, sort and paging from request query parameters
+ * @param {object} query - req.query
+ * @returns {object} { filter, sort, page, limit, projection } or { error }
+ */
+function buildTeamQuery(query = {}) {
+    const filter = { deleted_at: null };
+
+    // Status: single value or comma-separated list
+    if (query.status) {
+        const statuses = String(query.status).split(',').map(s => s.trim()).filter(Boolean);
+        const unknown = statuses.filter(s => !STATUSES.includes(s));
+        if (unknown.length) {
+            return { error: `Unknown status: ${unknown.join(', ')}` };
+        }
+        filter.submission_status = { $in: statuses };
+    }
+
+    // Registration date range
+    if (query.from || query.to) {
+        filter.created_at = {};
+        if (query.from) filter.created_at.$gte = new Date(query.from);
+        if (query.to) filter.created_at.$lte = new Date(query.to);
+
+        if (Object.values(filter.created_at).some(d => isNaN(d.getTime()))) {
+            return { error: 'Invalid date range' };
+        }
+    }
+
+    for (const field of MEMBER_FILTERS) {
+        if (query[field]) {
+            filter[`members.${field}`] = String(query[field]).trim();
+        }
+    }
+
+    // Member count bounds
+    if (query.min_members || query.max_members) {
+        filter.members_count = {};
+        if (query.min_members) filter.members_count.$gte = Number(query.min_members);
+        if (query.max_members) filter.members_count.$lte = Number(query.max_members);
+
+        if (Object.values(filter.members_count).some(n => !Number.isFinite(n))) {
+            return { error: 'Invalid member count range' };
+        }
+    }
+
+    // Full-text search across team name and member names, or a prefix match
+    // for short terms and references
+    const search = query.search ? String(query.search).trim().slice(0, MAX_SEARCH_LENGTH) : '';
+    const textSearch = search.length >= MIN_TEXT_SEARCH_LENGTH && !REFERENCE_PATTERN.test(search);
+    const baseFilter = { ...filter };
+    if (textSearch) {
+        filter.$text = { $search: search };
+    } else if (search) {
+        filter.$or = prefixSearch(search);
+    }
+
+    // Sort: "field" ascending, "-field" descending, "relevance" with search
+    const sortParam = String(query.sort || '-created_at');
+    let sort;
+    let projection;
+
+    const byName = { team_name: 1, _id: 1 };
+
+    if (sortParam === 'relevance') {
+        if (!search) {
+            return { error: 'Relevance sort requires a search term' };
+        }
+        if (textSearch) {
+            projection = { score: { $meta: 'textScore' } };
+            sort = { score: { $meta: 'textScore' }, _id: 1 };
+        } else {
+            sort = byName;
+        }
+    } else {
+        const direction = sortParam.startsWith('-') ? -1 : 1;
+        const field = SORT_FIELDS[sortParam.replace(/^-/, '')];
+        if (!field) {
+            return { error: `Unknown sort field: ${sortParam}` };
+        }
+        // _id tie-breaker keeps pages stable
+        sort = { [field]: direction, _id: direction };
+    }
+
+    const page = Math.max(1, parseInt(query.page, 10) || 1);
+    const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit, 10) || DEFAULT_LIMIT));
+
+    // Partial words find nothing through $text; the caller retries with this
+    const fallback = textSearch
+        ? { filter: { ...baseFilter, $or: prefixSearch(search) }, sort: sortParam === 'relevance' ? byName : sort }
+        : undefined;
+
+    return { filter, sort, page, limit, projection, fallback };
+}
+
+module.exports = {
+    buildTeamQuery,
+    DEFAULT_LIMIT,
+    MAX_LIMIT
+};
@@ -0,0 +1,50 @@
+/**
+ * TTD Temple Catalogue Index
+ * In-memory copy of the active catalogue entries so member validation can
+ * stay synchronous (loaded and refreshed by services/templeService.js)
+ */
+
+let entries = null;
+
+// "Sri Venkateswara Swamy Temple, T. Nagar" and "sri venkateswara swamy temple t nagar" are the same entry
+const nameKey = (value) => String(value || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[\s.,'()&-]+/g, '');
+
+/**
+ * Replace the index with the given active temples
+ * @param {Array} temples - [{ _id, name }]
+ */
+function setCatalogue(temples) {
+    entries = temples.map(t => ({ _id: String(t._id), name: t.name, key: nameKey(t.name) }));
+}
+
+/**
+ * True once the catalogue has been loaded and has entries.
+ * Until then nearest_ttd_temple is not checked, so registration keeps
+ * working while the catalogue is being set up.
+ */
+function catalogueLoaded() {
+    return !!entries && entries.length > 0;
+}
+
+/**
+ * Find an active catalogue entry by id or by name
+ * @returns {object|null} { _id, name }
+ */
+function findTemple(value) {
+    if (!entries) return null;
+    const text = String(value || '').trim();
+    if (!text) return null;
+
+    const key = nameKey(text);
+    const entry = entries.find(e => e._id === text || e.key === key);
+    return entry ? { _id: entry._id, name: entry.name } : null;
+}
+
+module.exports = {
+    setCatalogue,
+    catalogueLoaded,
+    findTemple
+};
@@ -0,0 +1,249 @@
+/**
+ * Minimal ZIP reader for password-protected archives such as the UIDAI
+ * offline e-KYC download. Supports stored/deflated entries with traditional
+ * PKWARE (ZipCrypto) or WinZip AES encryption; jszip handles neither.
+ */
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+const CRC_TABLE = (() => {
+    const table = new Int32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c;
+    }
+    return table;
+})();
+
+// The e-KYC download holds a single XML file; anything much bigger or busier is not one
+const MAX_ENTRIES = 4;
+const MAX_ENTRY_BYTES = 4 * 1024 * 1024;
+const MAX_TOTAL_BYTES = 8 * 1024 * 1024;
+
+const crcByte = (crc, byte) => CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+
+function crc32(buffer) {
+    let crc = -1;
+    for (const byte of buffer) crc = crcByte(crc, byte);
+    return (crc ^ -1) >>> 0;
+}
+
+class ZipError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ZipError';
+    }
+}
+
+// ============================================
+// ENCRYPTION
+// ============================================
+
+/**
+ * Traditional PKWARE encryption (APPNOTE 6.1)
+ */
+function zipCryptoDecrypt(data, password, checkByte) {
+    let k0 = 0x12345678;
+    let k1 = 0x23456789;
+    let k2 = 0x34567890;
+
+    const update = (byte) => {
+        k0 = crcByte(k0, byte);
+        k1 = (Math.imul((k1 + (k0 & 0xff)) >>> 0, 134775813) + 1) >>> 0;
+        k2 = crcByte(k2, k1 >>> 24);
+    };
+    const keyByte = () => {
+        const temp = (k2 | 2) & 0xffff;
+        return (Math.imul(temp, temp ^ 1) >>> 8) & 0xff;
+    };
+
+    for (const byte of Buffer.from(password, 'utf8')) update(byte);
+
+    const output = Buffer.alloc(data.length);
+    for (let i = 0; i < data.length; i++) {
+        output[i] = data[i] ^ keyByte();
+        update(output[i]);
+    }
+
+    // The last byte of the 12-byte encryption header is a password check
+    if (output[11] !== checkByte) {
+        throw new ZipError('Incorrect password');
+    }
+    return output.subarray(12);
+}
+
+/**
+ * WinZip AES (AE-1/AE-2): PBKDF2-SHA1 keys, AES-CTR with a little-endian
+ * counter, HMAC-SHA1 authentication code
+ */
+function aesDecrypt(data, password, strength) {
+    const keyLength = { 1: 16, 2: 24, 3: 32 }[strength];
+    if (!keyLength) throw new ZipError('Unsupported AES strength');
+
+    const saltLength = keyLength / 2;
+    const salt = data.subarray(0, saltLength);
+    const verifier = data.subarray(saltLength, saltLength + 2);
+    const encrypted = data.subarray(saltLength + 2, data.length - 10);
+    const authCode = data.subarray(data.length - 10);
+
+    const derived = crypto.pbkdf2Sync(password, salt, 1000, keyLength * 2 + 2, 'sha1');
+    const aesKey = derived.subarray(0, keyLength);
+    const macKey = derived.subarray(keyLength, keyLength * 2);
+
+    if (!derived.subarray(keyLength * 2).equals(verifier)) {
+        throw new ZipError('Incorrect password');
+    }
+
+    const mac = crypto.createHmac('sha1', macKey).update(encrypted).digest().subarray(0, 10);
+    if (!crypto.timingSafeEqual(mac, authCode)) {
+        throw new ZipError('Archive is corrupted or has been tampered with');
+    }
+
+    const cipher = crypto.createCipheriv(`aes-${keyLength * 8}-ecb`, aesKey, null);
+    cipher.setAutoPadding(false);
+
+    const output = Buffer.alloc(encrypted.length);
+    const counter = Buffer.alloc(16);
+    for (let offset = 0, block = 1; offset < encrypted.length; offset += 16, block++) {
+        counter.writeUInt32LE(block, 0);
+        const stream = cipher.update(counter);
+        for (let i = 0; i < 16 && offset + i < encrypted.length; i++) {
+            output[offset + i] = encrypted[offset + i] ^ stream[i];
+        }
+    }
+    return output;
+}
+
+// ============================================
+// ARCHIVE
+// ============================================
+
+function findEndOfCentralDirectory(buffer) {
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+        if (buffer.readUInt32LE(i) === 0x06054b50) return i;
+    }
+    throw new ZipError('Not a ZIP file');
+}
+
+/**
+ * Read the AES extra field (0x9901): { strength, method }
+ */
+function readAesExtra(extra) {
+    for (let i = 0; i + 4 <= extra.length;) {
+        const id = extra.readUInt16LE(i);
+        const size = extra.readUInt16LE(i + 2);
+        if (id === 0x9901) {
+            return { strength: extra[i + 8], method: extra.readUInt16LE(i + 9) };
+        }
+        i += 4 + size;
+    }
+    throw new ZipError('Missing AES header');
+}
+
+/**
+ * Extract every file in a ZIP archive
+ * @param {Buffer} buffer - ZIP contents
+ * @param {string} password - Password for encrypted entries
+ * @returns {object} { [fileName]: Buffer }
+ * @throws {ZipError} on malformed or oversized archives or a wrong password
+ */
+function extractZip(buffer, password = '') {
+    try {
+        return readEntries(buffer, password);
+    } catch (error) {
+        if (error instanceof ZipError) throw error;
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+            throw new ZipError('File in archive is too large');
+        }
+        // Truncated headers (RangeError), bad deflate data (zlib) and the like
+        throw new ZipError('Malformed ZIP archive');
+    }
+}
+
+function readEntries(buffer, password) {
+    const eocd = findEndOfCentralDirectory(buffer);
+    const count = buffer.readUInt16LE(eocd + 10);
+    let pointer = buffer.readUInt32LE(eocd + 16);
+    const files = {};
+    const offsets = new Set();
+    let total = 0;
+
+    if (count > MAX_ENTRIES) {
+        throw new ZipError(`Archive has ${count} entries; at most ${MAX_ENTRIES} expected`);
+    }
+
+    for (let n = 0; n < count; n++) {
+        if (buffer.readUInt32LE(pointer) !== 0x02014b50) {
+            throw new ZipError('Corrupted central directory');
+        }
+
+        const flags = buffer.readUInt16LE(pointer + 8);
+        let method = buffer.readUInt16LE(pointer + 10);
+        const crc = buffer.readUInt32LE(pointer + 16);
+        const compressedSize = buffer.readUInt32LE(pointer + 20);
+        const nameLength = buffer.readUInt16LE(pointer + 28);
+        const extraLength = buffer.readUInt16LE(pointer + 30);
+        const commentLength = buffer.readUInt16LE(pointer + 32);
+        const localOffset = buffer.readUInt32LE(pointer + 42);
+        const name = buffer.toString('utf8', pointer + 46, pointer + 46 + nameLength);
+        const extra = buffer.subarray(pointer + 46 + nameLength, pointer + 46 + nameLength + extraLength);
+        pointer += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue;
+
+        // Entries sharing one local header would inflate the same data repeatedly
+        if (offsets.has(localOffset)) {
+            throw new ZipError('Corrupted central directory');
+        }
+        offsets.add(localOffset);
+
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        let data = buffer.subarray(dataStart, dataStart + compressedSize);
+        let checkCrc = true;
+
+        if (flags & 1) {
+            if (method === 99) {
+                const aes = readAesExtra(extra);
+                data = aesDecrypt(data, password, aes.strength);
+                method = aes.method;
+                checkCrc = crc !== 0; // AE-2 omits the CRC
+            } else {
+                // With a data descriptor the check byte comes from the modification time
+                const checkByte = flags & 8
+                    ? buffer.readUInt16LE(localOffset + 10) >>> 8
+                    : crc >>> 24;
+                data = zipCryptoDecrypt(data, password, checkByte);
+            }
+        }
+
+        if (method === 8) {
+            data = zlib.inflateRawSync(data, { maxOutputLength: MAX_ENTRY_BYTES });
+        } else if (method !== 0) {
+            throw new ZipError(`Unsupported compression method ${method}`);
+        }
+
+        if (data.length > MAX_ENTRY_BYTES) {
+            throw new ZipError('File in archive is too large');
+        }
+        total += data.length;
+        if (total > MAX_TOTAL_BYTES) {
+            throw new ZipError('Archive contents are too large');
+        }
+
+        if (checkCrc && crc32(data) !== crc) {
+            throw new ZipError('Incorrect password or corrupted archive');
+        }
+        files[name] = data;
+    }
+
+    return files;
+}
+
+module.exports = {
+    ZipError,
+    crc32,
+    extractZip
+};